@@ -0,0 +1,453 @@
+// ---------------------------------------------------------------------------
+// abstract-review.js — Assign abstracts to reviewers and score them against
+//                      a rubric
+//
+// Reviews live in two tables:
+//
+//   reviewers (
+//     id, created_at default now(),
+//     email text unique, name text, affiliation text
+//   )
+//   abstract_reviews (
+//     id, created_at default now(), updated_at,
+//     abstract_id, reviewer_email text,
+//     scores jsonb,            -- { <criterion key>: number }, null until scored
+//     comment text,
+//     unique (abstract_id, reviewer_email)
+//   )
+//
+// An assignment is an abstract_reviews row without scores; the reviewer then
+// fills in scores and comment. Admins assign; nobody is assigned their own
+// abstract or one from their own affiliation. Who may insert / update which
+// rows is enforced by row-level security on both tables.
+//
+// The rubric and the accept / reject thresholds can be overridden in
+// config.js (CONFIG.REVIEW_RUBRIC, CONFIG.REVIEW_POLICY).
+//
+// Depends on: supabase-client.js (supabaseClient), text-utils.js
+//             (normaliseEmail, foldForMatch, textSimilarity), config.js (CONFIG),
+//             cell-types.js (registerCellType)
+// ---------------------------------------------------------------------------
+
+var REVIEWERS_TABLE        = "reviewers";
+var ABSTRACT_REVIEWS_TABLE = "abstract_reviews";
+
+/**
+ * @typedef {Object} ReviewCriterion
+ * @property {string} key    — key in `scores`
+ * @property {string} label
+ * @property {number} max    — scores run from 1 to max
+ * @property {number} [weight=1]
+ */
+
+/** @type {ReviewCriterion[]} */
+var REVIEW_RUBRIC = (typeof CONFIG !== "undefined" && Array.isArray(CONFIG.REVIEW_RUBRIC))
+  ? CONFIG.REVIEW_RUBRIC
+  : [
+    { key: "relevance",   label: "Relevance to the conference", max: 5 },
+    { key: "originality", label: "Originality",                 max: 5 },
+    { key: "quality",     label: "Scientific quality",          max: 5, weight: 2 },
+    { key: "clarity",     label: "Clarity of the abstract",     max: 5 },
+  ];
+
+/**
+ * Scores are compared as fractions of the best possible score (0–1).
+ *
+ *   minReviews   — completed reviews needed for a suggestion
+ *   accept       — mean score at or above this suggests "Accept"
+ *   reject       — mean score below this suggests "Reject"
+ *   minAgreement — below this, reviewers disagree too much: "Discuss"
+ */
+var REVIEW_POLICY = Object.assign(
+  { minReviews: 2, accept: 0.6, reject: 0.4, minAgreement: 0.6 },
+  typeof CONFIG !== "undefined" ? CONFIG.REVIEW_POLICY : null);
+
+// Affiliations at least this similar count as the same institution
+var REVIEW_AFFILIATION_SIMILARITY = 0.85;
+
+// ── Scoring ───────────────────────────────────────────────────────────────────
+
+/**
+ * Weighted score as a fraction of the maximum, or null unless every
+ * criterion is scored.
+ *
+ * @param {Object<string, number>} scores
+ * @returns {?number}
+ */
+function reviewScore(scores) {
+  if (!scores) return null;
+  var total = 0, weights = 0;
+  for (var i = 0; i < REVIEW_RUBRIC.length; i++) {
+    var c = REVIEW_RUBRIC[i];
+    var v = Number(scores[c.key]);
+    if (scores[c.key] == null || isNaN(v)) return null;
+    var w = c.weight != null ? c.weight : 1;
+    total   += w * v / c.max;
+    weights += w;
+  }
+  return weights ? total / weights : null;
+}
+
+/**
+ * Review fields for one abstract, as shown in the abstracts table.
+ *
+ * Agreement is 1 minus the spread (highest − lowest) of the reviewers'
+ * scores; it needs two completed reviews.
+ *
+ * @param {Object[]} reviews — abstract_reviews rows of this abstract
+ * @returns {{review_count: string, review_score: string,
+ *            review_agreement: string, review_suggestion: string}}
+ */
+function summariseReviews(reviews) {
+  if (reviews.length === 0) {
+    return { review_count: "", review_score: "", review_agreement: "", review_suggestion: "" };
+  }
+
+  var scores = reviews
+    .map(function (r) { return reviewScore(r.scores); })
+    .filter(function (s) { return s != null; });
+
+  var mean      = scores.length ? scores.reduce(function (a, b) { return a + b; }, 0) / scores.length : null;
+  var agreement = scores.length >= 2 ? 1 - (Math.max.apply(null, scores) - Math.min.apply(null, scores)) : null;
+
+  var suggestion = "Pending";
+  if (scores.length >= REVIEW_POLICY.minReviews && mean != null) {
+    if (agreement != null && agreement < REVIEW_POLICY.minAgreement) suggestion = "Discuss";
+    else if (mean >= REVIEW_POLICY.accept) suggestion = "Accept";
+    else if (mean <  REVIEW_POLICY.reject) suggestion = "Reject";
+    else suggestion = "Discuss";
+  }
+
+  return {
+    review_count:      scores.length + " / " + reviews.length,
+    review_score:      mean != null ? (mean * 10).toFixed(1) : "",
+    review_agreement:  agreement != null ? Math.round(agreement * 100) + "%" : "",
+    review_suggestion: suggestion,
+  };
+}
+
+/**
+ * abstract_reviews rows grouped by abstract id.
+ *
+ * @param {Object[]} reviews
+ * @returns {Object<string, Object[]>}
+ */
+function groupReviews(reviews) {
+  var groups = {};
+  reviews.forEach(function (r) {
+    (groups[r.abstract_id] = groups[r.abstract_id] || []).push(r);
+  });
+  return groups;
+}
+
+/**
+ * Copies of the abstract rows with the review fields filled in.
+ *
+ * @param {Object[]} abstracts — transformed abstract rows
+ * @param {Object[]} reviews   — abstract_reviews rows
+ * @returns {Object[]}
+ */
+function markReviews(abstracts, reviews) {
+  var byAbstract = groupReviews(reviews);
+  return abstracts.map(function (a) {
+    return Object.assign({}, a, summariseReviews(byAbstract[a.id] || []));
+  });
+}
+
+// ── Assignment ────────────────────────────────────────────────────────────────
+
+/**
+ * Why `reviewer` may not review `abstract`, or "" if they may.
+ *
+ * @param {Object} abstract — transformed abstract row
+ * @param {Object} reviewer — reviewers row
+ * @returns {string}
+ */
+function reviewConflict(abstract, reviewer) {
+  var email = normaliseEmail(reviewer.email);
+  if (email && email === normaliseEmail(abstract.email)) return "own abstract";
+
+  var a = foldForMatch(abstract.affiliation);
+  var b = foldForMatch(reviewer.affiliation);
+  if (a && b && (a === b || textSimilarity(a, b) >= REVIEW_AFFILIATION_SIMILARITY)) {
+    return "same affiliation";
+  }
+  return "";
+}
+
+/**
+ * Make `emails` the reviewers of `abstract`: unscored assignments no longer
+ * wanted are removed, then missing ones are created. Scored reviews are
+ * never removed, and conflicting reviewers are refused before anything is
+ * written.
+ *
+ * @param {Object}   abstract  — transformed abstract row
+ * @param {string[]} emails    — reviewer emails to assign
+ * @param {Object[]} reviewers — reviewers rows
+ * @param {Object[]} reviews   — current abstract_reviews rows of this abstract
+ * @returns {Promise<void>}
+ */
+async function assignReviewers(abstract, emails, reviewers, reviews) {
+  var wanted = {};
+  emails.forEach(function (e) { wanted[normaliseEmail(e)] = true; });
+
+  var current = {};
+  reviews.forEach(function (r) { current[normaliseEmail(r.reviewer_email)] = r; });
+
+  var removed = reviews.filter(function (r) { return !wanted[normaliseEmail(r.reviewer_email)]; });
+  if (removed.some(function (r) { return r.scores; })) {
+    throw new Error("Scored reviews cannot be unassigned.");
+  }
+
+  var byEmail = {};
+  reviewers.forEach(function (r) { byEmail[normaliseEmail(r.email)] = r; });
+  var added = Object.keys(wanted).filter(function (email) { return !current[email]; });
+  added.forEach(function (email) {
+    var conflict = byEmail[email] ? reviewConflict(abstract, byEmail[email]) : "not a reviewer";
+    if (conflict) throw new Error(email + " cannot review this abstract (" + conflict + ").");
+  });
+
+  // Removals first: if the insert then fails the abstract is left with
+  // fewer reviewers, never with the old and the new ones side by side
+  if (removed.length) {
+    var del = await supabaseClient
+      .from(ABSTRACT_REVIEWS_TABLE)
+      .delete()
+      .in("id", removed.map(function (r) { return r.id; }));
+    if (del.error) throw del.error;
+  }
+  if (added.length) {
+    var insert = await supabaseClient
+      .from(ABSTRACT_REVIEWS_TABLE)
+      .insert(added.map(function (email) {
+        return { abstract_id: abstract.id, reviewer_email: email };
+      }));
+    if (insert.error) throw insert.error;
+  }
+}
+
+/**
+ * Save the signed-in reviewer's scores and comment.
+ *
+ * @param {Object}                 review  — their abstract_reviews row
+ * @param {Object<string, number>} scores  — one score per REVIEW_RUBRIC criterion
+ * @param {string}                 comment
+ * @returns {Promise<void>}
+ */
+async function saveReview(review, scores, comment) {
+  REVIEW_RUBRIC.forEach(function (c) {
+    var v = Number(scores[c.key]);
+    if (!(v >= 1 && v <= c.max)) throw new Error("Score every criterion (" + c.label + ").");
+  });
+
+  var update = await supabaseClient
+    .from(ABSTRACT_REVIEWS_TABLE)
+    .update({ scores: scores, comment: comment.trim(), updated_at: new Date().toISOString() })
+    .eq("id", review.id)
+    .select("id");
+
+  if (update.error) throw update.error;
+  if (!update.data || update.data.length === 0) {
+    throw new Error("Review was not saved — check your permissions.");
+  }
+}
+
+// ── Forms (shown in the sidebar) ──────────────────────────────────────────────
+
+function formButton(text, onClick) {
+  var btn = document.createElement("button");
+  btn.type        = "button";
+  btn.className   = "sync-btn";
+  btn.textContent = text;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+/**
+ * Reviewer checkboxes for one abstract. Conflicting reviewers are disabled
+ * with the reason; reviewers who already scored it cannot be unticked.
+ *
+ * @param {Object}   abstract
+ * @param {Object[]} reviewers
+ * @param {Object[]} reviews  — abstract_reviews rows of this abstract
+ * @param {function(string[])} onSave — called with the ticked emails
+ * @returns {HTMLElement}
+ */
+function buildAssignForm(abstract, reviewers, reviews, onSave) {
+  var form = document.createElement("div");
+  form.className = "review-form";
+
+  var assigned = {};
+  reviews.forEach(function (r) { assigned[normaliseEmail(r.reviewer_email)] = r; });
+
+  var heading = document.createElement("p");
+  heading.textContent = abstract.title || "Untitled abstract";
+  form.appendChild(heading);
+
+  if (reviewers.length === 0) {
+    var none = document.createElement("p");
+    none.textContent = "No reviewers yet — add them to the " + REVIEWERS_TABLE + " table.";
+    form.appendChild(none);
+    return form;
+  }
+
+  var boxes = reviewers.map(function (reviewer) {
+    var email    = normaliseEmail(reviewer.email);
+    var conflict = reviewConflict(abstract, reviewer);
+    var review   = assigned[email];
+
+    var label = document.createElement("label");
+    var box   = document.createElement("input");
+    label.className = "review-reviewer";
+    box.type     = "checkbox";
+    box.value    = email;
+    box.checked  = !!review;
+    box.disabled = (!!conflict && !review) || !!(review && review.scores);
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(" " + (reviewer.name || email) +
+      (reviewer.affiliation ? " — " + reviewer.affiliation : "") +
+      (conflict ? " (" + conflict + ")" : review && review.scores ? " (scored)" : "")));
+    form.appendChild(label);
+    return box;
+  });
+
+  form.appendChild(formButton("Save assignment", function () {
+    onSave(boxes.filter(function (b) { return b.checked; }).map(function (b) { return b.value; }));
+  }));
+  return form;
+}
+
+/**
+ * Rubric form for the reviewer's own review: the abstract text, one score
+ * per criterion and a comment.
+ *
+ * @param {Object} abstract
+ * @param {Object} review — their abstract_reviews row
+ * @param {function(Object<string, number>, string)} onSave
+ * @returns {HTMLElement}
+ */
+function buildReviewForm(abstract, review, onSave) {
+  var form = document.createElement("div");
+  form.className = "review-form";
+
+  var title = document.createElement("p");
+  title.className   = "review-title";
+  title.textContent = abstract.title || "Untitled abstract";
+  form.appendChild(title);
+
+  var text = document.createElement("p");
+  text.className   = "review-abstract";
+  text.textContent = abstract.abstract_text || "";
+  form.appendChild(text);
+
+  var previous = review.scores || {};
+  var selects  = {};
+  REVIEW_RUBRIC.forEach(function (c) {
+    var label  = document.createElement("label");
+    var select = document.createElement("select");
+    select.appendChild(new Option("—", ""));
+    for (var v = 1; v <= c.max; v++) select.appendChild(new Option(String(v), String(v)));
+    select.value = previous[c.key] != null ? String(previous[c.key]) : "";
+    label.appendChild(document.createTextNode(c.label + " (1–" + c.max + ") "));
+    label.appendChild(select);
+    form.appendChild(label);
+    selects[c.key] = select;
+  });
+
+  var comment = document.createElement("textarea");
+  comment.rows        = 5;
+  comment.placeholder = "Comments";
+  comment.value       = review.comment || "";
+  form.appendChild(comment);
+
+  form.appendChild(formButton("Save review", function () {
+    var scores = {};
+    Object.keys(selects).forEach(function (key) {
+      if (selects[key].value) scores[key] = Number(selects[key].value);
+    });
+    onSave(scores, comment.value);
+  }));
+  return form;
+}
+
+// ── Review summary sheet ──────────────────────────────────────────────────────
+
+/** @returns {ColumnDef[]} one column per REVIEW_RUBRIC criterion included */
+function reviewSummaryColumns() {
+  return [
+    { key: "abstract_id",    label: "Abstract ID" },
+    { key: "title",          label: "Title",    wrap: true },
+    { key: "reviewer_email", label: "Reviewer", sensitivity: "contact" },
+  ].concat(REVIEW_RUBRIC.map(function (c) {
+    return { key: "score_" + c.key, label: c.label + " (/" + c.max + ")" };
+  })).concat([
+    { key: "score",      label: "Score (/10)" },
+    { key: "comment",    label: "Comment",    wrap: true },
+    { key: "suggestion", label: "Suggestion" },
+  ]);
+}
+
+/**
+ * One row per review of the given abstracts; `suggestion` is the abstract's
+ * overall suggestion.
+ *
+ * @param {Object[]} abstracts — abstract rows from markReviews
+ * @param {Object[]} reviews
+ * @returns {Object[]}
+ */
+function reviewSummaryRows(abstracts, reviews) {
+  var byAbstract = groupReviews(reviews);
+  var rows = [];
+  abstracts.forEach(function (a) {
+    (byAbstract[a.id] || []).forEach(function (r) {
+      var score = reviewScore(r.scores);
+      var row   = {
+        abstract_id:    a.id,
+        title:          a.title,
+        reviewer_email: r.reviewer_email,
+        score:          score != null ? (score * 10).toFixed(1) : "",
+        comment:        r.comment || "",
+        suggestion:     a.review_suggestion || "",
+      };
+      REVIEW_RUBRIC.forEach(function (c) {
+        row["score_" + c.key] = r.scores && r.scores[c.key] != null ? r.scores[c.key] : "";
+      });
+      rows.push(row);
+    });
+  });
+  return rows;
+}
+
+// ── Table cell ────────────────────────────────────────────────────────────────
+
+/**
+ * Cell type "review-actions" (`review_actions`), with the page's
+ * `reviews: { canAssign, onAssign(row), ownReviewFor(row) → the signed-in
+ * reviewer's abstract_reviews row or null, onReview(row, review) }`.
+ *
+ * @type {CellRenderer}
+ */
+function reviewActionsCell(td, value, row, col, options) {
+  var reviews = options.reviews;
+  if (!reviews) return;
+
+  var own = reviews.ownReviewFor(row);
+  if (own) {
+    var score = document.createElement("button");
+    score.type        = "button";
+    score.className   = "review-action";
+    score.textContent = own.scores ? "Edit review" : "Review";
+    score.addEventListener("click", function () { reviews.onReview(row, own); });
+    td.appendChild(score);
+  }
+  if (reviews.canAssign) {
+    var assign = document.createElement("button");
+    assign.type        = "button";
+    assign.className   = "review-action";
+    assign.textContent = "Assign";
+    assign.addEventListener("click", function () { reviews.onAssign(row); });
+    td.appendChild(assign);
+  }
+}
+
+registerCellType("review-actions", { render: reviewActionsCell });
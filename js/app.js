@@ -1,171 +1,390 @@
 // ---------------------------------------------------------------------------
-// app.js — Main controller
-// - Fetches data from Supabase
-// - Transforms and renders table
-// - Handles Sync + Download actions
+// app.js — Thematic sessions page
+// Runs the "sessions" dataset (datasets.js) on the shared controller
+// (dataset-app.js: sync, offline cache, live updates, filters, sorting,
+// export, duplicates report) and adds:
+// - Edits session status (single row or bulk selection)
+// - Counts the abstracts submitted to each session and lists them in the
+//   sidebar, where uncertain links are confirmed or rejected
 //
 // Depends on:
-//   - config.js (CONFIG)
-//   - supabase-client.js (supabaseClient)
-//   - transform.js (transformRows)
-//   - columns.js (DISPLAY_COLUMNS)
-//   - table-renderer.js (renderTable)
-//   - excel-export.js (downloadXlsx)
+//   - datasets.js (DATASETS)
+//   - dataset-app.js (createDatasetPage)
+//   - auth.js (requireSignIn, handleAuthError, isAuthError)
+//   - data-fetch.js (isFetchCancelled, newestTimestamp)
+//   - offline-cache.js (loadCachedTable, saveCachedTable)
+//   - reg-transform.js (transformAbstracts)
+//   - session-matcher.js (SESSION_LINKS_TABLE, linkAbstractsToSessions,
+//     markAbstractCounts, saveSessionLink, withSessionLink,
+//     buildSessionAbstractList)
+//   - columns.js (SESSION_STATUSES)
+//   - status-editor.js (updateSessionStatus)
+//   - data-table.js (openSidebarContent)
 // ---------------------------------------------------------------------------
 
 (function () {
-  var currentRows = [];
+  // Abstracts and the abstract_session_links decisions, for the
+  // per-session abstract counts; links by session id
+  var abstractData = { abstracts: [], decisions: [] };
+  var abstractLinks = { bySession: {}, unlinked: [] };
+
+  // Bulk selection: String(id) → original id (ids may be numbers or uuids)
+  var selectedIds = {};
+
+  var selection = {
+    isSelected: function (id) {
+      return Object.prototype.hasOwnProperty.call(
+        selectedIds,
+        String(id),
+      );
+    },
+    onToggle: function (id, checked) {
+      if (checked) selectedIds[String(id)] = id;
+      else delete selectedIds[String(id)];
+      updateBulkBar();
+    },
+    onToggleAll: function (checked) {
+      page.visibleRows().forEach(function (r) {
+        if (checked) selectedIds[String(r.id)] = r.id;
+        else delete selectedIds[String(r.id)];
+      });
+      page.refresh();
+    },
+  };
+
+  var page = createDatasetPage({
+    datasets: ["sessions"],
+    signedInText: "data",
+    related: {
+      fetch: fetchAbstractData,
+      apply: function (data) {
+        abstractData = {
+          abstracts: data.abstracts,
+          decisions: data.decisions,
+        };
+      },
+      save: saveAbstractCache,
+      loadCached: loadCachedAbstracts,
+      clear: function () {
+        abstractData = { abstracts: [], decisions: [] };
+      },
+      failureText:
+        "Abstracts could not be loaded — abstract counts may be out of date.",
+    },
+    markRows: linkAbstracts,
+    tableOptions: function (key, opts) {
+      return Object.assign(opts, {
+        selection: selection,
+        onStatusChange: function (id, status) {
+          changeStatus([id], status);
+        },
+        onShowAbstracts: showSessionAbstracts,
+      });
+    },
+    statusNote: function () {
+      var pending = pendingLinkCount();
+      return pending
+        ? " — " + pending + " abstract links to confirm"
+        : "";
+    },
+    onRefresh: function () {
+      pruneSelection();
+      updateBulkBar();
+    },
+    onInit: initBulkBar,
+  });
 
   function byId(id) {
     return document.getElementById(id);
   }
 
-  function setStatus(text) {
-    var el = byId("statusBar");
-    if (el) el.textContent = text;
+  function sessionRows() {
+    return page.rows("sessions");
   }
 
-  function setStatusHtml(html) {
-    var el = byId("statusBar");
-    if (el) el.innerHTML = html;
+  // ── Abstracts per session ──────────────────────────────
+  // Recompute the links and counts after the sessions or the
+  // abstract data change
+  function linkAbstracts(key, rows) {
+    abstractLinks = linkAbstractsToSessions(
+      abstractData.abstracts,
+      rows,
+      abstractData.decisions,
+    );
+    return markAbstractCounts(
+      rows,
+      abstractLinks.bySession,
+    );
   }
 
-  function setError(message) {
-    var err = byId("errorBanner");
-    if (!err) return;
-
-    if (message) {
-      err.textContent = message;
-      err.style.display = "";
-    } else {
-      err.textContent = "";
-      err.style.display = "none";
+  // Failing to load them does not fail the sync; the counts just
+  // stay as they were. An expired session still signs the user out.
+  async function fetchAbstractData(signal) {
+    try {
+      var rawAbstracts = await page.fetchTable(
+        "abstracts",
+        "abstracts",
+        signal,
+      );
+      var decisions = await page.fetchTable(
+        SESSION_LINKS_TABLE,
+        "abstract links",
+        signal,
+      );
+      return {
+        abstracts: transformAbstracts(rawAbstracts),
+        decisions: decisions,
+        watermark: newestTimestamp(
+          rawAbstracts,
+          DATASETS.abstracts.watermarkColumns,
+          null,
+        ),
+      };
+    } catch (err) {
+      if (isFetchCancelled(err) || isAuthError(err)) throw err;
+      console.warn("[app] Could not load abstracts:", err);
+      return null;
     }
   }
 
-  function setSyncButtonLoading(isLoading) {
-    var btn = byId("syncBtn");
-    if (!btn) return;
+  function saveAbstractCache(data, syncedAt) {
+    // Same cache entry as the abstracts tab of index.html
+    saveCachedTable(
+      "abstracts",
+      data.abstracts,
+      syncedAt,
+      data.watermark,
+    );
+    saveCachedTable(
+      SESSION_LINKS_TABLE,
+      data.decisions,
+      syncedAt,
+      null,
+    );
+  }
+
+  async function loadCachedAbstracts() {
+    var cached = await Promise.all([
+      loadCachedTable("abstracts"),
+      loadCachedTable(SESSION_LINKS_TABLE),
+    ]);
+    return {
+      abstracts: cached[0] ? cached[0].rows : [],
+      decisions: cached[1] ? cached[1].rows : [],
+    };
+  }
 
-    if (isLoading) {
-      btn.disabled = true;
-      btn.dataset.originalText = btn.textContent;
-      btn.textContent = "Syncing...";
-    } else {
-      btn.disabled = false;
-      btn.textContent =
-        btn.dataset.originalText || "Sync";
-    }
+  function pendingLinkCount() {
+    return Object.keys(abstractLinks.bySession).reduce(
+      function (n, id) {
+        return (
+          n +
+          abstractLinks.bySession[id].filter(
+            function (l) {
+              return !l.confident;
+            },
+          ).length
+        );
+      },
+      0,
+    );
   }
 
-  function setDownloadEnabled(enabled) {
-    var btn = byId("downloadBtn");
-    if (!btn) return;
-    btn.disabled = !enabled;
+  function showSessionAbstracts(row) {
+    var links =
+      abstractLinks.bySession[row.id] || [];
+    openSidebarContent(
+      "Abstracts — " +
+        (row.session_title || "session " + row.id),
+      buildSessionAbstractList(
+        links,
+        function (link, status) {
+          decideLink(row, link, status);
+        },
+      ),
+    );
   }
 
-  async function syncData() {
-    setError(null);
-    setSyncButtonLoading(true);
+  async function decideLink(row, link, status) {
+    if (!requireSignIn()) return;
+    page.setError(null);
 
     try {
-      if (
-        !CONFIG ||
-        !CONFIG.SUPABASE_URL ||
-        !CONFIG.SUPABASE_KEY
-      ) {
-        throw new Error(
-          "Missing Supabase configuration.",
+      var saved = await saveSessionLink(
+        link.abstract.id,
+        link.sessionId,
+        status,
+      );
+      abstractData.decisions = withSessionLink(
+        abstractData.decisions,
+        saved,
+      );
+      page.setRows("sessions", sessionRows());
+      page.rebuildFilters();
+      page.refresh();
+      page.saveCache("sessions");
+      saveCachedTable(
+        SESSION_LINKS_TABLE,
+        abstractData.decisions,
+        new Date().toISOString(),
+        null,
+      );
+      showSessionAbstracts(row);
+      page.setStatus(
+        "\"" +
+          (link.abstract.title || "Abstract") +
+          "\" " +
+          (status === "confirmed"
+            ? "confirmed for"
+            : "removed from") +
+          " this session.",
+      );
+    } catch (err) {
+      if (!handleAuthError(err)) {
+        page.setError(
+          "Could not save the decision: " +
+            (err.message || err),
         );
       }
+    }
+  }
 
-      console.log(
-        "[DEBUG] Fetching from table:",
-        CONFIG.TABLE_NAME,
-      );
+  // ── Status editing ─────────────────────────────────────
+  function selectedIdList() {
+    return Object.keys(selectedIds).map(
+      function (k) {
+        return selectedIds[k];
+      },
+    );
+  }
 
-      var result = await supabaseClient
-        .from(CONFIG.TABLE_NAME)
-        .select("*")
-        .order("created_at", { ascending: true });
+  // Drop selected ids that are no longer loaded
+  function pruneSelection() {
+    var present = {};
+    sessionRows().forEach(function (r) {
+      present[String(r.id)] = true;
+    });
+    Object.keys(selectedIds).forEach(
+      function (k) {
+        if (!present[k]) delete selectedIds[k];
+      },
+    );
+  }
 
-      console.log(
-        "[DEBUG] Supabase raw response:",
-        result,
-      );
-      console.log(
-        "[DEBUG] status:",
-        result.status,
-        "statusText:",
-        result.statusText,
-      );
-      console.log(
-        "[DEBUG] data length:",
-        result.data ? result.data.length : "null",
-      );
-      console.log("[DEBUG] error:", result.error);
+  function updateBulkBar() {
+    var bar = byId("bulkBar");
+    var count = selectedIdList().length;
+    if (!bar) return;
+    bar.hidden = count === 0;
+    var label = byId("bulkCount");
+    if (label) {
+      label.textContent =
+        count +
+        (count === 1
+          ? " session selected"
+          : " sessions selected");
+    }
+  }
 
-      if (result.error) {
-        throw result.error;
-      }
+  function withStatus(ids, statusById) {
+    var wanted = {};
+    ids.forEach(function (id) {
+      wanted[String(id)] = true;
+    });
+    return sessionRows().map(function (r) {
+      var key = String(r.id);
+      if (!wanted[key]) return r;
+      return Object.assign({}, r, {
+        status: statusById(key, r),
+      });
+    });
+  }
 
-      var rawRows = result.data || [];
-      currentRows = transformRows(rawRows);
+  /**
+   * Optimistically set `status` on the given sessions, then write it
+   * to Supabase; on failure every touched row gets its old status back.
+   *
+   * @param {Array<string|number>} ids
+   * @param {string} status
+   */
+  async function changeStatus(ids, status) {
+    if (!ids.length || !requireSignIn()) return;
+    page.setError(null);
 
-      renderTable(currentRows);
-      setDownloadEnabled(currentRows.length > 0);
+    var previous = {};
+    page.setRows(
+      "sessions",
+      withStatus(ids, function (key, r) {
+        previous[key] = r.status;
+        return status;
+      }),
+    );
+    page.refresh();
 
-      var now = new Date().toLocaleString();
-      setStatusHtml(
-        "<strong>" +
-          currentRows.length +
-          "</strong> rows loaded — last synced at <strong>" +
-          now +
-          "</strong>",
+    try {
+      await updateSessionStatus(ids, status);
+      page.saveCache("sessions");
+      page.rebuildFilters(); // a new status may need a filter option
+      page.setStatus(
+        "Status set to \"" +
+          status +
+          "\" for " +
+          ids.length +
+          (ids.length === 1
+            ? " session."
+            : " sessions."),
       );
     } catch (err) {
-      setError(
-        "Fetch error: " + (err.message || err),
+      page.setRows(
+        "sessions",
+        withStatus(ids, function (key, r) {
+          return Object.prototype.hasOwnProperty.call(
+            previous,
+            key,
+          )
+            ? previous[key]
+            : r.status;
+        }),
+      );
+      page.refresh();
+      if (handleAuthError(err)) return;
+      page.setError(
+        "Status update failed, change rolled back: " +
+          (err.message || err),
       );
-      setStatus("Sync failed.");
-      currentRows = [];
-      setDownloadEnabled(false);
-      renderTable(currentRows);
-    } finally {
-      setSyncButtonLoading(false);
     }
   }
 
-  function download() {
-    if (!currentRows.length) return;
-    downloadXlsx(currentRows);
+  function applyBulkStatus() {
+    var select = byId("bulkStatus");
+    if (!select || !select.value) return;
+    changeStatus(selectedIdList(), select.value);
   }
 
-  function init() {
-    var syncBtn = byId("syncBtn");
-    var downloadBtn = byId("downloadBtn");
+  function clearSelection() {
+    selectedIds = {};
+    page.refresh();
+  }
 
-    if (syncBtn)
-      syncBtn.addEventListener("click", syncData);
-    if (downloadBtn)
-      downloadBtn.addEventListener(
+  function initBulkBar() {
+    var bulkStatus = byId("bulkStatus");
+    var bulkApplyBtn = byId("bulkApplyBtn");
+    var bulkClearBtn = byId("bulkClearBtn");
+
+    if (bulkStatus) {
+      SESSION_STATUSES.forEach(function (s) {
+        bulkStatus.appendChild(new Option(s, s));
+      });
+    }
+    if (bulkApplyBtn)
+      bulkApplyBtn.addEventListener(
         "click",
-        download,
+        applyBulkStatus,
+      );
+    if (bulkClearBtn)
+      bulkClearBtn.addEventListener(
+        "click",
+        clearSelection,
       );
-
-    setDownloadEnabled(false);
-    setStatus("Press Sync to fetch data…");
-  }
-
-  if (document.readyState === "loading") {
-    document.addEventListener(
-      "DOMContentLoaded",
-      init,
-    );
-  } else {
-    init();
   }
-
-  // Expose for debugging if needed
-  window.appSync = syncData;
 })();
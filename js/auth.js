@@ -0,0 +1,238 @@
+// ---------------------------------------------------------------------------
+// auth.js — Supabase Auth sign-in gate shared by both pages
+//
+// The pages are published on GitHub Pages with only the anon key, so every
+// action that reads data (Sync, file badges, exports, edits) waits for a
+// signed-in user; row-level security on the tables does the real enforcement.
+// Users sign in with email + password, or leave the password empty to get a
+// magic link. Supabase keeps the session in localStorage and refreshes it.
+//
+// When the session ends on its own (refresh token expired or revoked) the
+// sign-in overlay comes back with an explanation instead of the next
+// request failing with a raw fetch error.
+//
+// Markup (present on both pages):
+//   #authOverlay > form#authForm (#authEmail, #authPassword, #authSubmit, #authMessage)
+//   header: #authUser, #signOutBtn
+//
+// Depends on: supabase-client.js (supabaseClient)
+// ---------------------------------------------------------------------------
+
+var authSession  = null;
+var authHandlers = {};
+var authResolved = false;   // Supabase has said whether there is a session
+var authOffline  = false;   // no Supabase library; the page shows its offline copy
+
+var SESSION_EXPIRED_MESSAGE = "Your session has expired — please sign in again.";
+
+/** @returns {boolean} */
+function isSignedIn() {
+  return !!authSession;
+}
+
+/** @returns {?Object} the signed-in Supabase user */
+function currentUser() {
+  return authSession ? authSession.user : null;
+}
+
+/**
+ * True for errors caused by a missing / expired / rejected session, from
+ * PostgREST ("JWT expired", PGRST301), Storage or a plain 401.
+ *
+ * @param {*} err
+ * @returns {boolean}
+ */
+function isAuthError(err) {
+  if (!err) return false;
+  if (err.status === 401 || err.statusCode === 401 || err.statusCode === "401") return true;
+  if (err.code === "PGRST301" || err.code === "PGRST302") return true;
+  return /jwt|not authenticated|invalid claim/i.test(err.message || "");
+}
+
+// ── Overlay ───────────────────────────────────────────────────────────────────
+
+function setAuthMessage(text, isError) {
+  var el = document.getElementById("authMessage");
+  if (!el) return;
+  el.textContent = text || "";
+  el.classList.toggle("error", !!isError);
+}
+
+/**
+ * Show the sign-in overlay.
+ * @param {string} [message] — shown above the form, e.g. why the user was signed out
+ */
+function showAuthGate(message) {
+  var overlay = document.getElementById("authOverlay");
+  if (overlay) overlay.hidden = false;
+  setAuthMessage(message, !!message);
+
+  var email = document.getElementById("authEmail");
+  if (email) email.focus();
+}
+
+function hideAuthGate() {
+  var overlay = document.getElementById("authOverlay");
+  if (overlay) overlay.hidden = true;
+  setAuthMessage("");
+}
+
+function updateAuthHeader() {
+  var user    = currentUser();
+  var label   = document.getElementById("authUser");
+  var signOut = document.getElementById("signOutBtn");
+  if (label) {
+    label.hidden      = !user;
+    label.textContent = user ? user.email : "";
+  }
+  if (signOut) signOut.hidden = !user;
+}
+
+/**
+ * Guard for actions that need a session: shows the overlay and returns false
+ * when nobody is signed in.
+ *
+ * @returns {boolean}
+ */
+function requireSignIn() {
+  if (isSignedIn()) return true;
+  // The gate could not be used, and would cover the offline copy
+  if (authOffline) {
+    window.alert("You are offline — signing in needs a connection.");
+    return false;
+  }
+  showAuthGate("Please sign in first.");
+  return false;
+}
+
+/**
+ * If `err` is a session error, drop the local session and bring back the
+ * overlay. Callers use it before reporting a generic failure:
+ *
+ *   if (handleAuthError(err)) return;
+ *
+ * @param {*} err
+ * @returns {boolean} true if the error was handled
+ */
+function handleAuthError(err) {
+  if (!isAuthError(err)) return false;
+
+  applySession(null, SESSION_EXPIRED_MESSAGE);
+  supabaseClient.auth.signOut({ scope: "local" }).catch(function () {});
+  return true;
+}
+
+// ── Session changes ───────────────────────────────────────────────────────────
+
+/**
+ * @param {?Object} session
+ * @param {string}  [signedOutMessage]
+ */
+function applySession(session, signedOutMessage) {
+  var wasUser   = currentUser();
+  var firstTime = !authResolved;
+  authSession  = session || null;
+  authResolved = true;
+  updateAuthHeader();
+
+  if (authSession) {
+    hideAuthGate();
+    // Token refreshes keep the same user — only react to an actual sign-in
+    if (!wasUser || wasUser.id !== authSession.user.id) {
+      if (authHandlers.onSignedIn) authHandlers.onSignedIn(authSession.user);
+    }
+    return;
+  }
+
+  showAuthGate(signedOutMessage);
+  // A page load without a session counts too: the page may be showing the
+  // offline copy of whoever was signed in last
+  if ((wasUser || firstTime) && authHandlers.onSignedOut) authHandlers.onSignedOut();
+}
+
+async function submitSignIn(e) {
+  e.preventDefault();
+  var email    = document.getElementById("authEmail").value.trim();
+  var password = document.getElementById("authPassword").value;
+  var button   = document.getElementById("authSubmit");
+  if (!email) return;
+
+  button.disabled = true;
+  setAuthMessage(password ? "Signing in…" : "Sending magic link…");
+
+  try {
+    var result = password
+      ? await supabaseClient.auth.signInWithPassword({ email: email, password: password })
+      : await supabaseClient.auth.signInWithOtp({
+          email:   email,
+          options: {
+            // Only existing admin accounts; no self sign-up from the public page
+            shouldCreateUser: false,
+            emailRedirectTo:  window.location.href.split("#")[0],
+          },
+        });
+    if (result.error) throw result.error;
+
+    if (password) {
+      document.getElementById("authPassword").value = "";
+    } else {
+      setAuthMessage("Check your inbox for a sign-in link.");
+    }
+  } catch (err) {
+    setAuthMessage("Sign-in failed: " + (err.message || err), true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function signOutUser() {
+  try {
+    await supabaseClient.auth.signOut();
+  } finally {
+    applySession(null);
+  }
+}
+
+/**
+ * Wire the overlay and start following the Supabase session. Call once from
+ * the page controller's init.
+ *
+ * @param {Object}   handlers
+ * @param {function(Object)} [handlers.onSignedIn] — called with the user when
+ *                            a session starts (page load or sign-in)
+ * @param {function()}       [handlers.onSignedOut] — called when it ends, or
+ *                            when the page loads without one
+ * @param {function(): boolean} [handlers.onOffline] — called instead when the
+ *                            Supabase library did not load; true if the page
+ *                            has something to show without a sign-in
+ */
+function initAuth(handlers) {
+  authHandlers = handlers || {};
+
+  if (!supabaseClient) {
+    var submit = document.getElementById("authSubmit");
+    if (submit) submit.disabled = true;
+    authOffline = !!authHandlers.onOffline && authHandlers.onOffline();
+    if (!authOffline) showAuthGate("Supabase library not loaded — are you offline?");
+    return;
+  }
+
+  var form    = document.getElementById("authForm");
+  var signOut = document.getElementById("signOutBtn");
+  if (form)    form.addEventListener("submit", submitSignIn);
+  if (signOut) signOut.addEventListener("click", signOutUser);
+
+  // Fires INITIAL_SESSION straight away with the stored session (or null).
+  // Supabase calls this while holding its auth lock, so the page handlers
+  // run on the next tick rather than inside it.
+  supabaseClient.auth.onAuthStateChange(function (event, session) {
+    setTimeout(function () {
+      if (event !== "SIGNED_OUT") {
+        applySession(session);
+      } else if (isSignedIn()) {
+        // Not our own sign-out (that clears the session first): it expired
+        applySession(null, SESSION_EXPIRED_MESSAGE);
+      }
+    }, 0);
+  });
+}
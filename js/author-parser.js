@@ -0,0 +1,318 @@
+// ---------------------------------------------------------------------------
+// author-parser.js — Split the free-form `co_authors` text of abstracts into
+//                    individual authors (name + affiliation where given)
+//
+// Handles the ways people actually fill the field in:
+//
+//   "J. Smith, K. Doe and M. Papas"              — , ; newline & and/και
+//   "J. Smith (Univ. of Athens); K. Doe (NTUA)"  — affiliation in brackets
+//   "J. Smith¹, K. Doe¹,²\n¹ NKUA\n² NTUA"        — numbered affiliation
+//   "Smith J.1,2; Doe K.2\n1. NKUA\n2. NTUA"        markers and a legend
+//   "Smith, J., Doe, K."                         — surname, initials
+//
+// Anything that does not look like a clean list of people (a lone
+// affiliation, an unknown marker, stray numbers, unbalanced brackets, …)
+// is reported in `issues`, and the abstract is flagged for manual review.
+//
+// Depends on: text-utils.js (foldForMatch),
+//             cell-types.js (registerCellType, buildClampCell)
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} ParsedAuthors
+ * @property {{name: string, affiliation: string}[]} authors
+ * @property {string[]} issues — why the text needs a manual look; empty if clean
+ */
+
+/** Value of `co_authors_check` for abstracts whose co-authors need a look. */
+var AUTHOR_REVIEW_FLAG = "Check co-authors";
+
+var SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+// Marker after a name / at the start of a legend line: 1 | 1,2 | ¹ | ¹,² | *
+var MARKER_PATTERN = "(?:\\d+(?:\\s*,\\s*\\d+)*|[⁰¹²³⁴⁵⁶⁷⁸⁹]+(?:\\s*,?\\s*[⁰¹²³⁴⁵⁶⁷⁸⁹]+)*|\\*+)";
+
+var TRAILING_MARKERS = new RegExp("\\s*(" + MARKER_PATTERN + ")$");
+var MARKERS_ONLY     = new RegExp("^\\s*" + MARKER_PATTERN + "\\s*$");
+var LEGEND_LINE      = new RegExp("^\\s*(" + MARKER_PATTERN + ")\\s*[.):\\-]?\\s*(\\S.*)$");
+
+// Folded (foldForMatch) words that mark a piece of text as an institution
+var AFFILIATION_WORDS = /(^| )(univ|university|universita|universidad|universite|institute|institut|instituto|department|dept|school|faculty|laboratory|lab|centre|center|college|academy|survey|observatory|πανεπιστημιο|ινστιτουτο|τμημα|σχολη|εργαστηριο|κεντρο|ιδρυμα|ακαδημια)( |$)/;
+
+// "J." / "J.K." / "Ι.-Κ." — initials only, as in "Smith, J."
+var INITIALS_ONLY = /^(\p{Lu}\.?\s*-?\s*){1,3}$/u;
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+/**
+ * Marker text → list of keys, e.g. "¹,²" → ["1", "2"], "1, 3" → ["1", "3"].
+ */
+function markerKeys(marker) {
+  if (/^\*+$/.test(marker)) return [marker];
+
+  var digits = marker.replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, function (ch) {
+    return String(SUPERSCRIPT_DIGITS.indexOf(ch));
+  });
+  // Superscripts are single digits unless separated ("¹²" = 1 and 2)
+  if (/[⁰¹²³⁴⁵⁶⁷⁸⁹]/.test(marker) && !/,/.test(marker)) return digits.replace(/\s/g, "").split("");
+  return digits.split(/\s*,\s*/).filter(Boolean);
+}
+
+function looksLikeAffiliation(text) {
+  return AFFILIATION_WORDS.test(foldForMatch(text));
+}
+
+/**
+ * Pull numbered affiliation legend lines ("1. University of Athens") out of
+ * the text. A numbered line only counts as legend if it names an
+ * institution or its number is used as a marker elsewhere; otherwise it is
+ * a numbered author ("1. John Smith").
+ *
+ * @returns {{lines: string[], legend: Object<string, string>}}
+ */
+function splitLegend(text) {
+  var lines   = text.split("\n");
+  var legend  = {};
+  var authors = [];
+
+  lines.forEach(function (line, i) {
+    var m = LEGEND_LINE.exec(line);
+    if (m) {
+      var others = lines.slice(0, i).concat(lines.slice(i + 1)).join("\n");
+      var keys   = markerKeys(m[1]);
+      var used   = keys.length === 1 && isMarkerUsed(others, m[1]);
+      if (keys.length === 1 && (looksLikeAffiliation(m[2]) || used)) {
+        legend[keys[0]] = m[2].trim();
+        return;
+      }
+    }
+    authors.push(line);
+  });
+  return { lines: authors, legend: legend };
+}
+
+// "Smith¹", "Smith J.1", "Smith 1", or later in a list: "Smith1,2"
+function isMarkerUsed(text, marker) {
+  var escaped = marker.replace(/[*]/g, "\\*");
+  return new RegExp("(\\p{L}\\.?[ \\t]?|[\\d⁰¹²³⁴⁵⁶⁷⁸⁹],[ \\t]?)" + escaped + "(?![\\d⁰¹²³⁴⁵⁶⁷⁸⁹])", "u").test(text);
+}
+
+/**
+ * Split on separators outside brackets: , ; newline & and/και.
+ *
+ * @returns {{pieces: string[], balanced: boolean}}
+ */
+function splitAuthorText(text) {
+  var pieces   = [];
+  var current  = "";
+  var depth    = 0;
+  var balanced = true;
+
+  for (var i = 0; i < text.length; i++) {
+    var ch = text.charAt(i);
+    if (ch === "(" || ch === "[") depth++;
+    if (ch === ")" || ch === "]") {
+      if (depth === 0) balanced = false;
+      else depth--;
+    }
+
+    if (depth === 0) {
+      if (/[,;\n&]/.test(ch)) {
+        pieces.push(current);
+        current = "";
+        continue;
+      }
+      var conj = /^\s+(and|και)\s+/i.exec(text.slice(i));
+      if (conj) {
+        pieces.push(current);
+        current = "";
+        i += conj[0].length - 1;
+        continue;
+      }
+    }
+    current += ch;
+  }
+  pieces.push(current);
+
+  return { pieces: pieces, balanced: balanced && depth === 0 };
+}
+
+/**
+ * Parse free-form co-author text.
+ *
+ * @param {*} text — `co_authors` as submitted
+ * @returns {ParsedAuthors}
+ */
+function parseCoAuthors(text) {
+  var source  = String(text != null ? text : "").replace(/\r\n?/g, "\n").trim();
+  var authors = [];
+  var issues  = [];
+  if (!source) return { authors: authors, issues: issues };
+
+  var legendSplit = splitLegend(source);
+  var legend      = legendSplit.legend;
+  var split       = splitAuthorText(legendSplit.lines.join("\n"));
+  if (!split.balanced) issues.push("unbalanced brackets");
+
+  split.pieces.forEach(function (raw) {
+    // Leading list numbering / bullets ("1. ", "- ", "• ")
+    var piece = raw.trim().replace(/^(\d+[.)]|[-•·])\s+/, "");
+    if (!piece) return;
+
+    var last = authors[authors.length - 1];
+
+    // "Smith¹,²" split at the comma: the "²" belongs to the previous author
+    if (MARKERS_ONLY.test(piece)) {
+      if (last) last.markers = last.markers.concat(markerKeys(piece.trim()));
+      else issues.push("stray marker \"" + piece + "\"");
+      return;
+    }
+    // "Smith, J." split at the comma
+    if (INITIALS_ONLY.test(piece) && last && !last.affiliation && last.markers.length === 0 &&
+        last.name.split(/\s+/).length === 1) {
+      last.name += " " + piece;
+      return;
+    }
+
+    var author = { name: piece, affiliation: "", markers: [] };
+
+    var bracket = /^(.*?)\s*[(\[](.*)[)\]]\s*$/.exec(piece);
+    if (bracket && bracket[1]) {
+      author.name        = bracket[1];
+      author.affiliation = bracket[2].trim();
+    }
+
+    var marker = TRAILING_MARKERS.exec(author.name);
+    if (marker && marker.index > 0) {
+      author.markers = markerKeys(marker[1].trim());
+      author.name    = author.name.slice(0, marker.index);
+    }
+    author.name = author.name.trim();
+    authors.push(author);
+  });
+
+  return {
+    authors: authors.map(function (a) { return finishAuthor(a, legend, issues); }),
+    issues:  issues,
+  };
+}
+
+// Resolve markers and note anything that does not look like a person
+function finishAuthor(author, legend, issues) {
+  var affiliations = author.affiliation ? [author.affiliation] : [];
+  author.markers.forEach(function (key) {
+    if (legend[key]) affiliations.push(legend[key]);
+    else if (!/^\*+$/.test(key)) issues.push("unknown affiliation marker " + key + " (" + author.name + ")");
+  });
+
+  var words = author.name.split(/\s+/).filter(Boolean);
+  if (looksLikeAffiliation(author.name)) {
+    issues.push("affiliation without an author: \"" + author.name + "\"");
+  } else if (/[\d⁰¹²³⁴⁵⁶⁷⁸⁹]/.test(author.name)) {
+    issues.push("numbers in name: \"" + author.name + "\"");
+  } else if (words.length === 1) {
+    issues.push("single-word name: \"" + author.name + "\"");
+  } else if (words.length > 6) {
+    issues.push("not a single name: \"" + author.name + "\"");
+  }
+
+  return { name: author.name, affiliation: affiliations.join("; ") };
+}
+
+/**
+ * Sidebar text for a `co_authors` cell: the parsed list, any issues, then
+ * the text as submitted.
+ *
+ * @param {*} text
+ * @returns {string}
+ */
+function formatAuthorList(text) {
+  var parsed = parseCoAuthors(text);
+  if (parsed.authors.length === 0) return String(text != null ? text : "");
+
+  var lines = parsed.authors.map(function (a, i) {
+    return (i + 1) + ". " + a.name + (a.affiliation ? " — " + a.affiliation : "");
+  });
+  if (parsed.issues.length) {
+    lines.push("", "⚠ Needs review:");
+    parsed.issues.forEach(function (issue) { lines.push("  • " + issue); });
+  }
+  lines.push("", "As submitted:", String(text));
+  return lines.join("\n");
+}
+
+/**
+ * Cell type "authors" (`co_authors`): clamped text whose sidebar shows the
+ * parsed list (formatAuthorList).
+ *
+ * @type {CellRenderer}
+ */
+function authorListCell(td, value, row, col) {
+  td.appendChild(buildClampCell(col.label, value, formatAuthorList(value)));
+}
+
+registerCellType("authors", { render: authorListCell });
+
+// ── Authors sheet ─────────────────────────────────────────────────────────────
+
+/** @type {ColumnDef[]} */
+var AUTHOR_COLUMNS = [
+  { key: "abstract_id", label: "Abstract ID" },
+  { key: "title",       label: "Title",        wrap: true },
+  { key: "position",    label: "Position" },
+  { key: "role",        label: "Role" },
+  { key: "name",        label: "Name" },
+  { key: "affiliation", label: "Affiliation",  wrap: true, sensitivity: "personal" },
+  { key: "review",      label: "Needs Review", wrap: true },
+];
+
+/**
+ * Whether a parsed co-author is the submitter listing themselves again:
+ * "John Smith", "Smith John", "J. Smith", "Smith J.".
+ */
+function isSubmitterName(name, firstName, lastName) {
+  var words = foldForMatch(name).split(" ");
+  var first = foldForMatch(firstName);
+  var last  = foldForMatch(lastName).split(" ");
+  if (!first || !last[0]) return false;
+
+  var rest = words.filter(function (w) { return last.indexOf(w) === -1; });
+  return last.every(function (w) { return words.indexOf(w) !== -1; }) &&
+         rest.length > 0 && first.indexOf(rest[0]) === 0;
+}
+
+/**
+ * One row per author of each abstract: the submitter first, then the
+ * parsed co-authors (leaving out the submitter if they listed themselves
+ * again). `review` repeats the abstract's parser issues on each of its rows.
+ *
+ * @param {Object[]} abstracts — transformed abstract rows
+ * @returns {Object[]} rows keyed like AUTHOR_COLUMNS
+ */
+function authorRows(abstracts) {
+  var rows = [];
+  abstracts.forEach(function (abs) {
+    var parsed    = parseCoAuthors(abs.co_authors);
+    var review    = parsed.issues.join("; ");
+    var submitter = [abs.first_name, abs.last_name].filter(Boolean).join(" ");
+    var position  = 0;
+
+    function add(role, name, affiliation) {
+      rows.push({
+        abstract_id: abs.id,
+        title:       abs.title,
+        position:    ++position,
+        role:        role,
+        name:        name,
+        affiliation: affiliation,
+        review:      review,
+      });
+    }
+
+    if (submitter) add("submitter", submitter, abs.affiliation);
+    parsed.authors.forEach(function (a) {
+      if (!isSubmitterName(a.name, abs.first_name, abs.last_name)) add("co-author", a.name, a.affiliation);
+    });
+  });
+  return rows;
+}
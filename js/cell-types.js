@@ -0,0 +1,341 @@
+// ---------------------------------------------------------------------------
+// cell-types.js — How each kind of column is drawn in the table and written
+//                 to exports
+//
+// A ColumnDef names its kind in `type`; the renderer (data-table.js) and the
+// exporters (export-formats.js) look it up here instead of checking column
+// keys. Built in:
+//
+//   text      — plain text (the default)
+//   longtext  — clamped, opens the sidebar (the default for `wrap` columns)
+//   email     — mailto link, when the role sees the real address
+//   date      — localised date / time; exports keep the stored value
+//   boolean   — ✓ Yes / ✗ No; exports "Yes" / "No"
+//   tags      — comma- or semicolon-separated list as chips
+//   country   — flag + name, from a name or an ISO code; exports the name
+//   badge     — coloured badge, classes from the column's `badges` map
+//   file      — opens `row._file_path` in the column's `bucket`
+//
+// Feature modules add their own with registerCellType() (status-editor.js:
+// "status", payment-review.js: "payment", …); load them after this file.
+//
+// Depends on: text-utils.js (foldForMatch), redaction.js (sensitivityAccess),
+//             data-table.js (openSidebar), auth.js (requireSignIn,
+//             handleAuthError), supabase-client.js (supabaseClient)
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} CellType
+ * @property {CellRenderer} render
+ * @property {function(*, Object, ColumnDef): *} [exportValue] — what exports
+ *           write instead of the (already redacted) value
+ */
+
+/** @type {Object<string, CellType>} */
+var CELL_TYPES = {};
+
+/**
+ * Add a cell type, or replace one.
+ *
+ * @param {string}   name — the ColumnDef `type` that selects it
+ * @param {CellType} cellType
+ */
+function registerCellType(name, cellType) {
+  CELL_TYPES[name] = cellType;
+}
+
+/**
+ * The cell type of a column; unknown types draw as text.
+ *
+ * @param {ColumnDef} col
+ * @returns {CellType}
+ */
+function cellTypeOf(col) {
+  return CELL_TYPES[col.type || (col.wrap ? "longtext" : "text")] || CELL_TYPES.text;
+}
+
+/**
+ * The value exports write for one cell.
+ *
+ * @param {ColumnDef} col
+ * @param {*}         value — already redacted
+ * @param {Object}    row
+ */
+function cellExportValue(col, value, row) {
+  var type = cellTypeOf(col);
+  return type.exportValue && value !== "" ? type.exportValue(value, row, col) : value;
+}
+
+// ── Text ──────────────────────────────────────────────────────────────────────
+
+function textCell(td, value) {
+  td.textContent = value;
+}
+
+/**
+ * Clamped long text; a click opens the sidebar with `sidebarText` (default:
+ * the text itself).
+ *
+ * @param {string} label — sidebar title
+ * @param {string} text
+ * @param {string} [sidebarText]
+ * @returns {HTMLDivElement}
+ */
+function buildClampCell(label, text, sidebarText) {
+  var div = document.createElement("div");
+  div.className   = "cell-clamp";
+  div.textContent = text;
+  div.addEventListener("click", function () {
+    openSidebar(label, sidebarText != null ? sidebarText : text);
+  });
+  return div;
+}
+
+function longTextCell(td, value, row, col) {
+  td.appendChild(buildClampCell(col.label, value));
+}
+
+// Masked addresses ("j***@uoa.gr") stay plain text
+function emailCell(td, value, row, col) {
+  if (value === "" || sensitivityAccess(col.sensitivity) !== "show" || String(value).indexOf("@") === -1) {
+    td.textContent = value;
+    return;
+  }
+  var link = document.createElement("a");
+  link.href        = "mailto:" + value;
+  link.textContent = value;
+  td.appendChild(link);
+}
+
+// ── Dates ─────────────────────────────────────────────────────────────────────
+
+// "2026-01-01" → date only; timestamps → date and time, in the user's locale
+function localDateText(value) {
+  var text = String(value);
+  var day  = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  // Date-only strings would parse as UTC midnight, i.e. the day before in
+  // time zones west of UTC
+  if (day) return new Date(+day[1], day[2] - 1, +day[3]).toLocaleDateString();
+  var date = new Date(text);
+  return isNaN(date.getTime()) ? text : date.toLocaleString();
+}
+
+function dateCell(td, value) {
+  td.textContent = value !== "" ? localDateText(value) : "";
+  if (value !== "") td.title = value;
+}
+
+// ── Yes / No ──────────────────────────────────────────────────────────────────
+
+var YES_VALUES = ["yes", "true", "1", "y", "ναι"];
+var NO_VALUES  = ["no", "false", "0", "n", "όχι"];
+
+/**
+ * @param {*} value
+ * @returns {?string} "Yes", "No", or null for anything else (e.g. masked)
+ */
+function booleanText(value) {
+  var text = String(value).trim().toLowerCase();
+  if (YES_VALUES.indexOf(text) !== -1) return "Yes";
+  if (NO_VALUES.indexOf(text) !== -1) return "No";
+  return null;
+}
+
+function booleanCell(td, value) {
+  var text = booleanText(value);
+  if (!text) {
+    td.textContent = value;
+    return;
+  }
+  var span = document.createElement("span");
+  span.className   = "cell-bool cell-bool-" + text.toLowerCase();
+  span.textContent = (text === "Yes" ? "✓ " : "✗ ") + text;
+  td.appendChild(span);
+}
+
+// ── Tags ──────────────────────────────────────────────────────────────────────
+
+/** "a, b; c" → ["a", "b", "c"] */
+function splitTags(value) {
+  return String(value).split(/[,;]/).map(function (t) { return t.trim(); }).filter(Boolean);
+}
+
+function tagsCell(td, value) {
+  splitTags(value).forEach(function (tag) {
+    var chip = document.createElement("span");
+    chip.className   = "cell-tag";
+    chip.textContent = tag;
+    td.appendChild(chip);
+  });
+}
+
+// ── Countries ─────────────────────────────────────────────────────────────────
+
+// foldForMatch(name) → ISO 3166 code, for English and Greek names; built on
+// first use from Intl.DisplayNames
+var countryCodesByName = null;
+var regionNamesByLocale = {};
+
+function regionNames(locale) {
+  if (!(locale in regionNamesByLocale)) {
+    try {
+      regionNamesByLocale[locale] = new Intl.DisplayNames([locale], { type: "region" });
+    } catch (e) {
+      regionNamesByLocale[locale] = null;   // no Intl.DisplayNames: no flags
+    }
+  }
+  return regionNamesByLocale[locale];
+}
+
+function buildCountryIndex() {
+  var index = {};
+  ["en", "el"].forEach(function (locale) {
+    var names = regionNames(locale);
+    if (!names) return;
+    for (var a = 65; a <= 90; a++) {
+      for (var b = 65; b <= 90; b++) {
+        var code = String.fromCharCode(a, b);
+        var name = names.of(code);
+        if (name && name !== code) index[foldForMatch(name)] = code;
+      }
+    }
+  });
+  return index;
+}
+
+/**
+ * @param {string} value — a country name (English or Greek) or ISO code
+ * @returns {?string} two-letter code
+ */
+function countryCode(value) {
+  var text = String(value).trim();
+  var names = regionNames("en");
+  if (/^[A-Za-z]{2}$/.test(text) && names && names.of(text.toUpperCase()) !== text.toUpperCase()) {
+    return text.toUpperCase();
+  }
+  if (!countryCodesByName) countryCodesByName = buildCountryIndex();
+  return countryCodesByName[foldForMatch(text)] || null;
+}
+
+// Codes are shown and exported as English names; names as entered
+function countryName(value) {
+  var text = String(value).trim();
+  var code = /^[A-Za-z]{2}$/.test(text) ? countryCode(text) : null;
+  var names = code && regionNames("en");
+  return names ? names.of(code) : text;
+}
+
+function countryFlag(code) {
+  return String.fromCodePoint(0x1F1E6 + code.charCodeAt(0) - 65, 0x1F1E6 + code.charCodeAt(1) - 65);
+}
+
+function countryCell(td, value) {
+  var code = value !== "" ? countryCode(value) : null;
+  if (!code) {
+    td.textContent = value;
+    return;
+  }
+  var flag = document.createElement("span");
+  flag.className   = "cell-flag";
+  flag.textContent = countryFlag(code);
+  flag.setAttribute("aria-hidden", "true");
+  td.appendChild(flag);
+  td.appendChild(document.createTextNode(countryName(value)));
+  td.title = code;
+}
+
+// ── Badges ────────────────────────────────────────────────────────────────────
+
+/**
+ * Badge for `value`, classed from `col.badges` (value → class name).
+ *
+ * @param {string}    value
+ * @param {ColumnDef} col
+ * @returns {HTMLSpanElement}
+ */
+function buildBadge(value, col) {
+  var span = document.createElement("span");
+  var cls  = col.badges && col.badges[value];
+  span.className   = "badge" + (cls ? " " + cls : "");
+  span.textContent = value;
+  return span;
+}
+
+function badgeCell(td, value, row, col) {
+  if (value !== "") td.appendChild(buildBadge(value, col));
+}
+
+// ── Files ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Open a private storage file in a new tab through a short-lived signed URL.
+ * The badge shows a loading state meanwhile.
+ *
+ * @param {string}      bucket
+ * @param {string}      filePath
+ * @param {HTMLElement} badge
+ */
+async function openStorageFile(bucket, filePath, badge) {
+  if (!requireSignIn()) return;
+  var prev = badge.textContent;
+  badge.textContent   = "Loading…";
+  badge.style.opacity = "0.6";
+  badge.style.cursor  = "wait";
+
+  try {
+    var result = await supabaseClient.storage
+      .from(bucket)
+      .createSignedUrl(filePath, 3600);
+
+    if (result.error) throw result.error;
+    window.open(result.data.signedUrl, "_blank", "noopener");
+  } catch (err) {
+    if (!handleAuthError(err)) alert("Could not open file: " + (err.message || err));
+  } finally {
+    badge.textContent   = prev;
+    badge.style.opacity = "";
+    badge.style.cursor  = "";
+  }
+}
+
+/**
+ * Clickable file badge — generates a signed URL and opens the file.
+ *
+ * @param {string} label    — text shown on the badge
+ * @param {string} bucket
+ * @param {string} filePath — raw storage path
+ * @returns {HTMLSpanElement}
+ */
+function buildFileBadge(label, bucket, filePath) {
+  var badge = document.createElement("span");
+  badge.className   = "badge badge-file badge-file-link";
+  badge.textContent = label;
+  badge.title       = "Click to open file";
+  badge.addEventListener("click", function () {
+    openStorageFile(bucket, filePath, badge);
+  });
+  return badge;
+}
+
+// File badge for `col.bucket`, path in `row._file_path`
+function fileCell(td, value, row, col) {
+  if (value !== "") td.appendChild(buildFileBadge(value, col.bucket, row._file_path));
+}
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+
+registerCellType("text",     { render: textCell });
+registerCellType("longtext", { render: longTextCell });
+registerCellType("email",    { render: emailCell });
+registerCellType("date",     { render: dateCell });
+registerCellType("boolean",  {
+  render:      booleanCell,
+  exportValue: function (value) { return booleanText(value) || value; },
+});
+registerCellType("tags",     {
+  render:      tagsCell,
+  exportValue: function (value) { return splitTags(value).join(", "); },
+});
+registerCellType("country",  { render: countryCell, exportValue: countryName });
+registerCellType("badge",    { render: badgeCell });
+registerCellType("file",     { render: fileCell });
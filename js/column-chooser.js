@@ -0,0 +1,291 @@
+// ---------------------------------------------------------------------------
+// column-chooser.js — Show / hide / reorder table columns, with named presets
+//
+// Shared by both pages. A ColumnLayout holds the chosen order and the hidden
+// columns of one table; applyColumnLayout() turns a ColumnDef list into the
+// chosen one, and the table and the exports both go through it so they
+// always match. Columns the layout does not know yet (added to columns.js /
+// reg-columns.js after it was saved) are shown, after the known ones.
+//
+// Layouts are kept in localStorage per scope ("sessions", "registrations", …):
+//   columnLayout:<scope>   — the current layout
+//   columnPresets:<scope>  — { <preset name>: ColumnLayout }
+// Storage is best-effort: if localStorage is unavailable the chooser still
+// works for the current visit.
+//
+// Depends on: table-filter.js (clearFilterBar)
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} ColumnLayout
+ * @property {string[]}                order  — column keys in display order
+ * @property {Object<string, boolean>} hidden — keys of hidden columns
+ */
+
+/** @returns {ColumnLayout} every column, in the columns.js order */
+function defaultColumnLayout() {
+  return { order: [], hidden: {} };
+}
+
+/**
+ * All of `cols` in the layout's order, hidden ones included.
+ *
+ * @param {ColumnDef[]}  cols
+ * @param {ColumnLayout} layout
+ * @returns {ColumnDef[]}
+ */
+function orderColumns(cols, layout) {
+  var rank = {};
+  layout.order.forEach(function (key, i) { rank[key] = i; });
+
+  return cols
+    .map(function (col, i) {
+      return { col: col, rank: col.key in rank ? rank[col.key] : layout.order.length + i };
+    })
+    .sort(function (a, b) { return a.rank - b.rank; })
+    .map(function (entry) { return entry.col; });
+}
+
+/**
+ * The columns to show / export: ordered, hidden ones left out.
+ *
+ * @param {ColumnDef[]}  cols
+ * @param {ColumnLayout} layout
+ * @returns {ColumnDef[]}
+ */
+function applyColumnLayout(cols, layout) {
+  return orderColumns(cols, layout).filter(function (c) { return !layout.hidden[c.key]; });
+}
+
+// ── Storage ───────────────────────────────────────────────────────────────────
+
+function readStoredJson(key) {
+  try {
+    var raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn("[column-chooser] Could not read " + key + ":", err);
+    return null;
+  }
+}
+
+function writeStoredJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn("[column-chooser] Could not save " + key + ":", err);
+  }
+}
+
+// Stored data may come from an older version or be hand-edited
+function normaliseLayout(layout) {
+  return {
+    order:  layout && Array.isArray(layout.order) ? layout.order.slice() : [],
+    hidden: Object.assign({}, layout && layout.hidden),
+  };
+}
+
+// Same columns in the same order, shown the same way
+function sameLayout(cols, a, b) {
+  var keysA = orderColumns(cols, a).map(function (c) { return (a.hidden[c.key] ? "-" : "+") + c.key; });
+  var keysB = orderColumns(cols, b).map(function (c) { return (b.hidden[c.key] ? "-" : "+") + c.key; });
+  return keysA.join() === keysB.join();
+}
+
+/**
+ * @param {string} scope
+ * @returns {ColumnLayout} the saved layout, or the default one
+ */
+function loadColumnLayout(scope) {
+  return normaliseLayout(readStoredJson("columnLayout:" + scope));
+}
+
+/**
+ * @param {string}       scope
+ * @param {ColumnLayout} layout
+ */
+function saveColumnLayout(scope, layout) {
+  writeStoredJson("columnLayout:" + scope, layout);
+}
+
+/**
+ * @param {string} scope
+ * @returns {Object<string, ColumnLayout>}
+ */
+function loadColumnPresets(scope) {
+  return readStoredJson("columnPresets:" + scope) || {};
+}
+
+/**
+ * Save `layout` as a named preset (replacing one with the same name).
+ *
+ * @param {string}       scope
+ * @param {string}       name
+ * @param {ColumnLayout} layout
+ */
+function saveColumnPreset(scope, name, layout) {
+  var presets = loadColumnPresets(scope);
+  presets[name] = layout;
+  writeStoredJson("columnPresets:" + scope, presets);
+}
+
+/**
+ * @param {string} scope
+ * @param {string} name
+ */
+function deleteColumnPreset(scope, name) {
+  var presets = loadColumnPresets(scope);
+  delete presets[name];
+  writeStoredJson("columnPresets:" + scope, presets);
+}
+
+// ── UI ────────────────────────────────────────────────────────────────────────
+
+/**
+ * Copy of `layout` with the column `key` moved `delta` places (among all
+ * columns, hidden ones included).
+ */
+function moveColumn(cols, layout, key, delta) {
+  var order = orderColumns(cols, layout).map(function (c) { return c.key; });
+  var from  = order.indexOf(key);
+  var to    = from + delta;
+  if (from === -1 || to < 0 || to >= order.length) return layout;
+
+  order.splice(to, 0, order.splice(from, 1)[0]);
+  return { order: order, hidden: Object.assign({}, layout.hidden) };
+}
+
+function buildChooserItem(cols, layout, col, index, count, apply) {
+  var item = document.createElement("li");
+
+  var label = document.createElement("label");
+  var box   = document.createElement("input");
+  box.type    = "checkbox";
+  box.checked = !layout.hidden[col.key];
+  box.addEventListener("change", function () {
+    var next = normaliseLayout(layout);
+    if (box.checked) delete next.hidden[col.key];
+    else next.hidden[col.key] = true;
+    apply(next);
+  });
+  label.appendChild(box);
+  label.appendChild(document.createTextNode(
+    " " + col.label + (col.excelOnly ? " (export only)" : col.uiOnly ? " (table only)" : "")));
+  item.appendChild(label);
+
+  [["▲", -1, "Move up"], ["▼", 1, "Move down"]].forEach(function (spec) {
+    var btn = document.createElement("button");
+    btn.type        = "button";
+    btn.className   = "column-move";
+    btn.textContent = spec[0];
+    btn.title       = spec[2];
+    btn.disabled    = spec[1] < 0 ? index === 0 : index === count - 1;
+    btn.addEventListener("click", function () {
+      apply(moveColumn(cols, layout, col.key, spec[1]));
+    });
+    item.appendChild(btn);
+  });
+
+  return item;
+}
+
+function buildPresetControls(cols, scope, layout, apply) {
+  var wrap    = document.createElement("span");
+  var presets = loadColumnPresets(scope);
+  var names   = Object.keys(presets).sort(function (a, b) { return a.localeCompare(b); });
+
+  var select = document.createElement("select");
+  select.className = "column-preset";
+  select.title     = "Apply a saved column preset";
+  select.appendChild(new Option("Column preset…", ""));
+  names.forEach(function (name) { select.appendChild(new Option(name, name)); });
+  // Show which preset is in use, if the layout still matches one
+  names.forEach(function (name) {
+    if (!select.value && sameLayout(cols, layout, normaliseLayout(presets[name]))) select.value = name;
+  });
+  select.addEventListener("change", function () {
+    if (select.value) apply(normaliseLayout(presets[select.value]));
+  });
+  wrap.appendChild(select);
+
+  var save = document.createElement("button");
+  save.type        = "button";
+  save.className   = "filter-clear";
+  save.textContent = "Save preset…";
+  save.addEventListener("click", function () {
+    var name = window.prompt("Name for this column preset:", select.value || "");
+    if (name == null || !name.trim()) return;
+    saveColumnPreset(scope, name.trim(), layout);
+    apply(layout);
+  });
+  wrap.appendChild(save);
+
+  var remove = document.createElement("button");
+  remove.type        = "button";
+  remove.className   = "filter-clear";
+  remove.textContent = "Delete preset";
+  remove.hidden      = names.length === 0;
+  remove.addEventListener("click", function () {
+    if (!select.value) {
+      window.alert("Pick the preset to delete first.");
+      return;
+    }
+    if (!window.confirm("Delete the column preset \"" + select.value + "\"?")) return;
+    deleteColumnPreset(scope, select.value);
+    apply(layout);
+  });
+  wrap.appendChild(remove);
+
+  return wrap;
+}
+
+/**
+ * Build the column chooser (show / hide / reorder) and the preset dropdown
+ * into `container`. Every change is saved as the scope's current layout and
+ * passed to `onChange`, which should re-render the table; calling this
+ * again keeps the chooser panel open if it was.
+ *
+ * @param {HTMLElement}  container — usually #columnBar
+ * @param {ColumnDef[]}  cols      — every column the user may see
+ * @param {ColumnLayout} layout    — current layout
+ * @param {string}       scope     — storage scope, e.g. "sessions"
+ * @param {function(ColumnLayout)} onChange
+ */
+function renderColumnChooser(container, cols, layout, scope, onChange) {
+  if (!container) return;
+  var previous = container.querySelector(".column-panel");
+  var wasOpen  = !!previous && previous.open;
+  clearFilterBar(container);
+
+  function apply(next) {
+    saveColumnLayout(scope, next);
+    onChange(next);
+  }
+
+  var ordered = orderColumns(cols, layout);
+  var shown   = ordered.filter(function (c) { return !layout.hidden[c.key]; }).length;
+
+  var details = document.createElement("details");
+  details.className = "column-panel";
+  details.open      = wasOpen;
+  var summary = document.createElement("summary");
+  summary.textContent = "Columns (" + shown + " of " + ordered.length + ")";
+  details.appendChild(summary);
+
+  var list = document.createElement("ol");
+  list.className = "column-list";
+  ordered.forEach(function (col, i) {
+    list.appendChild(buildChooserItem(cols, layout, col, i, ordered.length, apply));
+  });
+  details.appendChild(list);
+
+  var reset = document.createElement("button");
+  reset.type        = "button";
+  reset.className   = "filter-clear";
+  reset.textContent = "Show all, default order";
+  reset.addEventListener("click", function () { apply(defaultColumnLayout()); });
+  details.appendChild(reset);
+
+  container.appendChild(details);
+  container.appendChild(buildPresetControls(cols, scope, layout, apply));
+}
@@ -1,52 +1,111 @@
 // ---------------------------------------------------------------------------
 // columns.js — Single source of truth for display column definitions
 //
-// Every module that needs to know about columns (renderer, exporter, etc.)
-// reads from DISPLAY_COLUMNS instead of hard-coding its own list.
+// Every module that needs to know about the thematic session columns
+// (renderer, exporter, etc.) reads from DISPLAY_COLUMNS instead of
+// hard-coding its own list.
 // ---------------------------------------------------------------------------
 
 /**
+ * Shared by every dataset (datasets.js); reg-columns.js holds the lists of
+ * the registration-phase tables.
+ *
  * @typedef {Object} ColumnDef
  * @property {string}  key   — property name on a transformed row object
  * @property {string}  label — human-readable header for the UI & Excel export
- * @property {boolean} [wrap]  — if true, the cell allows text wrapping
+ * @property {boolean} [wrap]  — if true, the cell allows text wrapping / sidebar click
+ * @property {boolean} [excelOnly] — if true, only included in Excel, not in UI table
+ * @property {boolean} [uiOnly]   — if true, only included in UI table, not in Excel
+ * @property {string|false} [filter] — filter control kind: "text" (default),
+ *                                     "select", "date", or false for none
+ * @property {string}  [type]  — cell type (cell-types.js): how the cell is drawn
+ *                               and exported; "date" columns also sort
+ *                               chronologically. Default "text", or
+ *                               "longtext" for `wrap` columns
+ * @property {Object<string, string>} [badges] — "badge" types: class name
+ *                                               per value
+ * @property {string}  [sensitivity] — "contact", "personal", "consent", "payment" or "review";
+ *                                     shown, masked or hidden per role (redaction.js)
+ * @property {string}  [bucket] — storage bucket of a file column
  */
 
 /** @type {ColumnDef[]} */
 var DISPLAY_COLUMNS = [
     // ── Meta ────────────────────────────────────────────────
     { key: "id",                             label: "ID" },
-    { key: "created_at",                     label: "Created At" },
-    { key: "locale",                         label: "Locale" },
+    { key: "created_at",                     label: "Created At",      filter: "date", type: "date" },
+    { key: "locale",                         label: "Locale",          filter: "select" },
 
     // ── Primary organizer (flattened) ───────────────────────
     { key: "organizer_primary_firstName",    label: "Primary: First Name" },
     { key: "organizer_primary_lastName",     label: "Primary: Last Name" },
-    { key: "organizer_primary_email",        label: "Primary: Email" },
-    { key: "organizer_primary_affiliation",  label: "Primary: Affiliation",  wrap: true },
-    { key: "organizer_primary_country",      label: "Primary: Country" },
+    { key: "organizer_primary_email",        label: "Primary: Email",        type: "email", sensitivity: "contact" },
+    { key: "organizer_primary_affiliation",  label: "Primary: Affiliation",  wrap: true, sensitivity: "personal" },
+    { key: "organizer_primary_country",      label: "Primary: Country",      filter: "select", type: "country", sensitivity: "personal" },
 
     // ── Secondary organizer (flattened) ─────────────────────
     { key: "organizer_secondary_firstName",   label: "Secondary: First Name" },
     { key: "organizer_secondary_lastName",    label: "Secondary: Last Name" },
-    { key: "organizer_secondary_email",       label: "Secondary: Email" },
-    { key: "organizer_secondary_affiliation", label: "Secondary: Affiliation", wrap: true },
-    { key: "organizer_secondary_country",     label: "Secondary: Country" },
+    { key: "organizer_secondary_email",       label: "Secondary: Email",       type: "email", sensitivity: "contact" },
+    { key: "organizer_secondary_affiliation", label: "Secondary: Affiliation", wrap: true, sensitivity: "personal" },
+    { key: "organizer_secondary_country",     label: "Secondary: Country",    filter: "select", type: "country", sensitivity: "personal" },
 
     // ── Tertiary organizer (flattened) ──────────────────────
     { key: "organizer_tertiary_firstName",    label: "Tertiary: First Name" },
     { key: "organizer_tertiary_lastName",     label: "Tertiary: Last Name" },
-    { key: "organizer_tertiary_email",        label: "Tertiary: Email" },
-    { key: "organizer_tertiary_affiliation",  label: "Tertiary: Affiliation", wrap: true },
-    { key: "organizer_tertiary_country",      label: "Tertiary: Country" },
+    { key: "organizer_tertiary_email",        label: "Tertiary: Email",       type: "email", sensitivity: "contact" },
+    { key: "organizer_tertiary_affiliation",  label: "Tertiary: Affiliation", wrap: true, sensitivity: "personal" },
+    { key: "organizer_tertiary_country",      label: "Tertiary: Country",     filter: "select", type: "country", sensitivity: "personal" },
 
     // ── Session details ─────────────────────────────────────
     { key: "session_title",                  label: "Session Title",   wrap: true },
     { key: "session_topic",                  label: "Session Topic",   wrap: true },
     { key: "session_summary",                label: "Session Summary", wrap: true },
-    { key: "session_keywords",               label: "Keywords",        wrap: true },
+    { key: "session_keywords",               label: "Keywords",        type: "tags" },
     { key: "additional_comments",            label: "Comments",        wrap: true },
 
     // ── Status ──────────────────────────────────────────────
-    { key: "status",                         label: "Status" },
+    { key: "status",                         label: "Status",          filter: "select", type: "status",
+      badges: { submitted: "badge-submitted", approved: "badge-approved",
+                rejected: "badge-rejected", waitlisted: "badge-waitlisted" } },
+
+    // ── Checks (set by duplicate-detector.js) ───────────────
+    { key: "duplicate_flag",                 label: "Duplicate",       filter: "select", type: "duplicate" },
+
+    // ── Abstracts (set by session-matcher.js) ───────────────
+    { key: "abstract_count",                 label: "Abstracts",       filter: "select", type: "abstract-count" },
+];
+
+/**
+ * Columns of the "one row per organizer" view (see unpivotOrganizers);
+ * exported as the "Organizers" sheet.
+ * @type {ColumnDef[]}
+ */
+var ORGANIZER_COLUMNS = [
+    { key: "session_id",    label: "Session ID" },
+    { key: "session_title", label: "Session Title", wrap: true },
+    { key: "role",          label: "Role" },
+    { key: "firstName",     label: "First Name" },
+    { key: "lastName",      label: "Last Name" },
+    { key: "email",         label: "Email",         type: "email", sensitivity: "contact" },
+    { key: "affiliation",   label: "Affiliation",   wrap: true, sensitivity: "personal" },
+    { key: "country",       label: "Country",       type: "country", sensitivity: "personal" },
 ];
+
+/**
+ * Review statuses a thematic session can be given from the table.
+ * "approved" = accepted; matches the badge-<status> classes in style.css.
+ */
+var SESSION_STATUSES = ["submitted", "approved", "rejected", "waitlisted"];
+
+// ── Helpers ─────────────────────────────────────────────────
+
+/** Return only the columns meant for the UI table. */
+function uiColumns(cols) {
+    return cols.filter(function (c) { return !c.excelOnly; });
+}
+
+/** Return only the columns meant for Excel export. */
+function excelColumns(cols) {
+    return cols.filter(function (c) { return !c.uiOnly; });
+}
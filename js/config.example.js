@@ -1,9 +1,25 @@
 // Copy this file to config.js and fill in your Supabase credentials.
 // config.js is gitignored and will NOT be committed.
+// The GitHub Pages deploy (.github/workflows/deploy.yml) writes its own
+// config.js; set the optional keys below there as repository variables
+// (SCHEDULE, REVIEW_RUBRIC, REVIEW_POLICY) holding the same values as JSON.
 
 const CONFIG = {
   SUPABASE_URL:
     "https://your-project-id.supabase.co",
   SUPABASE_KEY: "your-anon-public-key-here",
   TABLE_NAME: "thematic_session_submissions_2026",
+  // Optional — abstract review rubric and thresholds (see abstract-review.js)
+  // REVIEW_RUBRIC: [
+  //   { key: "relevance", label: "Relevance", max: 5 },
+  //   { key: "quality",   label: "Scientific quality", max: 10, weight: 2 },
+  // ],
+  // REVIEW_POLICY: { minReviews: 2, accept: 0.6, reject: 0.4, minAgreement: 0.6 },
+  // Session schedule grid (see schedule.js) — days are required, rooms and
+  // slots have defaults
+  // SCHEDULE: {
+  //   days:  ["2026-09-14", "2026-09-15"],
+  //   rooms: ["Room A", "Room B"],
+  //   slots: [{ start: "09:00", end: "10:30" }, { start: "11:00", end: "12:30" }],
+  // },
 };
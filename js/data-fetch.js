@@ -0,0 +1,186 @@
+// ---------------------------------------------------------------------------
+// data-fetch.js — Shared Supabase fetch layer for both pages
+//
+// A plain `.select("*")` silently stops at the PostgREST max-rows limit
+// (1000 by default). fetchAllRows() pages through the table with `.range()`
+// until every row is in, reports progress against the `count: "exact"` total,
+// and can be cancelled through an AbortSignal.
+//
+// For incremental sync it can restrict the fetch to rows created/updated
+// after a watermark; newestTimestamp() and mergeRowsById() do the rest.
+//
+// Depends on: supabase-client.js (supabaseClient)
+// ---------------------------------------------------------------------------
+
+/** Rows requested per page. Servers with a lower max-rows cap still work. */
+var FETCH_PAGE_SIZE = 1000;
+
+/**
+ * Build the error thrown when a fetch is cancelled.
+ * @returns {Error}
+ */
+function fetchCancelledError() {
+  var err = new Error("Fetch cancelled.");
+  err.name = "FetchCancelledError";
+  return err;
+}
+
+/**
+ * @param {*} err
+ * @returns {boolean} true if `err` came from a cancelled fetch
+ */
+function isFetchCancelled(err) {
+  return !!err && err.name === "FetchCancelledError";
+}
+
+/**
+ * Restrict a query to rows with any of `columns` later than `since`.
+ *
+ * @param {Object}   query   — Supabase query builder
+ * @param {string[]} [columns=["created_at"]]
+ * @param {string}   since   — ISO timestamp
+ * @returns {Object} query builder
+ */
+function changedSinceFilter(query, columns, since) {
+  var cols = columns && columns.length ? columns : ["created_at"];
+  if (cols.length === 1) return query.gt(cols[0], since);
+
+  // Quoted so the timestamp's "+00:00" / "." survive PostgREST's or() syntax
+  return query.or(cols.map(function (c) {
+    return c + ".gt.\"" + since + "\"";
+  }).join(","));
+}
+
+/**
+ * Fetch every row of a table, one page at a time.
+ *
+ * @param {string} tableName
+ * @param {Object}   [options]
+ * @param {string}   [options.orderBy="created_at"] — primary order column
+ *                    (`id` is always added as a tie-breaker so pages never overlap)
+ * @param {number}   [options.pageSize=FETCH_PAGE_SIZE]
+ * @param {AbortSignal} [options.signal] — abort to cancel the fetch
+ * @param {string}   [options.since] — only fetch rows where any of
+ *                    `sinceColumns` is later than this timestamp
+ * @param {string[]} [options.sinceColumns=["created_at"]]
+ * @param {function(number, ?number)} [options.onProgress] — called after each
+ *                    page with (fetchedSoFar, total); total is null if unknown
+ * @returns {Promise<Object[]>} raw rows
+ */
+async function fetchAllRows(tableName, options) {
+  var opts     = options || {};
+  var orderBy  = opts.orderBy  || "created_at";
+  var pageSize = opts.pageSize || FETCH_PAGE_SIZE;
+  var signal   = opts.signal;
+
+  var rows  = [];
+  var total = null;
+
+  while (true) {
+    if (signal && signal.aborted) throw fetchCancelledError();
+
+    var from  = rows.length;
+    var query = supabaseClient
+      .from(tableName)
+      .select("*", { count: "exact" })
+      .order(orderBy, { ascending: true })
+      .order("id",    { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (opts.since) query = changedSinceFilter(query, opts.sinceColumns, opts.since);
+    if (signal) query = query.abortSignal(signal);
+
+    var result = await query;
+
+    if (signal && signal.aborted) throw fetchCancelledError();
+    if (result.error) throw result.error;
+
+    var page = result.data || [];
+    if (result.count != null) total = result.count;
+
+    rows = rows.concat(page);
+    if (opts.onProgress) opts.onProgress(rows.length, total);
+
+    // Stop once the total is reached; without a count, a short page means
+    // the end. An empty page always ends the loop.
+    if (page.length === 0) break;
+    if (total != null ? rows.length >= total : page.length < pageSize) break;
+  }
+
+  return rows;
+}
+
+/**
+ * Progress text for status bars, e.g. "fetched 1000 of 2345".
+ *
+ * @param {number}  fetched
+ * @param {?number} total
+ * @returns {string}
+ */
+function fetchProgressText(fetched, total) {
+  return total != null
+    ? "fetched " + fetched + " of " + total
+    : "fetched " + fetched;
+}
+
+// ── Incremental sync helpers ──────────────────────────────────────────────────
+
+/**
+ * Latest timestamp found in `columns` across the raw rows, or `previous` if
+ * nothing is newer. The original string is returned untouched so Postgres'
+ * microsecond precision survives into the next `.gt()` filter.
+ *
+ * @param {Object[]} rawRows
+ * @param {string[]} columns  — e.g. ["created_at", "updated_at"]
+ * @param {?string}  previous — watermark from the last sync
+ * @returns {?string}
+ */
+function newestTimestamp(rawRows, columns, previous) {
+  var best     = previous || null;
+  var bestTime = best ? Date.parse(best) : -Infinity;
+
+  for (var i = 0; i < rawRows.length; i++) {
+    for (var c = 0; c < columns.length; c++) {
+      var v = rawRows[i][columns[c]];
+      if (!v) continue;
+      var t = Date.parse(v);
+      if (t > bestTime || (t === bestTime && v > best)) {
+        best     = v;
+        bestTime = t;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Merge freshly fetched rows into the loaded ones by `id`. Existing rows are
+ * replaced in place, new rows are appended. Neither input is modified.
+ *
+ * Deletions cannot be seen by an incremental fetch; a full resync drops them.
+ *
+ * @param {Object[]} existing — currently loaded (transformed) rows
+ * @param {Object[]} incoming — changed (transformed) rows
+ * @returns {{rows: Object[], added: number, updated: number}}
+ */
+function mergeRowsById(existing, incoming) {
+  var rows  = existing.slice();
+  var index = {};
+  for (var i = 0; i < rows.length; i++) index[rows[i].id] = i;
+
+  var added   = 0;
+  var updated = 0;
+  for (var j = 0; j < incoming.length; j++) {
+    var row = incoming[j];
+    if (Object.prototype.hasOwnProperty.call(index, row.id)) {
+      rows[index[row.id]] = row;
+      updated++;
+    } else {
+      index[row.id] = rows.length;
+      rows.push(row);
+      added++;
+    }
+  }
+
+  return { rows: rows, added: added, updated: updated };
+}
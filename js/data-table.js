@@ -0,0 +1,222 @@
+// ---------------------------------------------------------------------------
+// data-table.js — Build & inject a DOM <table> for any dataset (datasets.js)
+//
+// One renderer for every page: the columns come in as a parameter, and each
+// cell is drawn by the cell type its column names (cell-types.js: text,
+// longtext, badge, file, …), so the loop never checks column keys.
+//
+// Also manages the shared sidebar. Sortable headers come from table-sort.js
+// (decorateSortHeader); columns go through redaction.js first, so the
+// user's role decides what is hidden or masked.
+// ---------------------------------------------------------------------------
+
+/**
+ * Fills one <td>. `value` is already redacted for the user's role.
+ *
+ * @callback CellRenderer
+ * @param {HTMLTableCellElement} td
+ * @param {*}         value
+ * @param {Object}    row     — the transformed row
+ * @param {ColumnDef} col
+ * @param {Object}    options — the options given to renderDataTable, e.g.
+ *                              the page's action handlers
+ */
+
+// ── Sidebar ───────────────────────────────────────────────────────────────────
+
+function openSidebar(title, content) {
+  var overlay = document.getElementById("sidebarOverlay");
+  var sidebar  = document.getElementById("sidebar");
+  var titleEl  = document.getElementById("sidebarTitle");
+  var bodyEl   = document.getElementById("sidebarBody");
+
+  if (!overlay || !sidebar) return;
+
+  titleEl.textContent = title;
+  bodyEl.textContent  = content;
+
+  overlay.classList.add("open");
+  sidebar.classList.add("open");
+}
+
+/**
+ * Open the sidebar with a form or other element instead of plain text.
+ *
+ * @param {string}      title
+ * @param {HTMLElement} node
+ */
+function openSidebarContent(title, node) {
+  openSidebar(title, "");
+  var bodyEl = document.getElementById("sidebarBody");
+  if (bodyEl) bodyEl.appendChild(node);
+}
+
+function closeSidebar() {
+  var overlay = document.getElementById("sidebarOverlay");
+  var sidebar  = document.getElementById("sidebar");
+  if (overlay) overlay.classList.remove("open");
+  if (sidebar)  sidebar.classList.remove("open");
+}
+
+(function () {
+  function init() {
+    var closeBtn = document.getElementById("sidebarClose");
+    var overlay  = document.getElementById("sidebarOverlay");
+
+    if (closeBtn) closeBtn.addEventListener("click", closeSidebar);
+    if (overlay)  overlay.addEventListener("click",  closeSidebar);
+
+    document.addEventListener("keydown", function (e) {
+      if (e.key === "Escape") closeSidebar();
+    });
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
+
+// ── DOM helper ────────────────────────────────────────────────────────────────
+
+/** Remove all child nodes from an element without using innerHTML. */
+function clearChildren(el) {
+  while (el.firstChild) {
+    el.removeChild(el.firstChild);
+  }
+}
+
+// #emptyState is detached from the DOM once a table replaces it, so hold on
+// to the node from the first lookup.
+var emptyStateEl = null;
+
+function getEmptyState() {
+  if (!emptyStateEl) emptyStateEl = document.getElementById("emptyState");
+  return emptyStateEl;
+}
+
+// ── Table renderer ────────────────────────────────────────────────────────────
+
+/**
+ * Build one <tr> for a transformed row. data-row-id lets live updates find
+ * and replace it later.
+ *
+ * @param {Object}      row  — flat, transformed row object
+ * @param {ColumnDef[]} cols — UI column definitions
+ * @param {Object}      [options] — same options as renderDataTable
+ * @returns {HTMLTableRowElement}
+ */
+function buildDataRow(row, cols, options) {
+  var opts    = options || {};
+  var tr      = document.createElement("tr");
+  var visible = redactColumns(cols);
+  tr.dataset.rowId = row.id;
+
+  // Bulk-selection checkbox
+  if (opts.selection) {
+    var selTd = document.createElement("td");
+    var box   = document.createElement("input");
+    selTd.className = "select-cell";
+    box.type    = "checkbox";
+    box.checked = opts.selection.isSelected(row.id);
+    box.addEventListener("change", function () {
+      opts.selection.onToggle(row.id, box.checked);
+    });
+    selTd.appendChild(box);
+    tr.appendChild(selTd);
+  }
+
+  for (var d = 0; d < visible.length; d++) {
+    var col = visible[d];
+    var td  = document.createElement("td");
+    var val = row[col.key] != null ? redactValue(col, row[col.key]) : "";
+
+    cellTypeOf(col).render(td, val, row, col, opts);
+    tr.appendChild(td);
+  }
+
+  return tr;
+}
+
+/**
+ * Render an array of transformed rows into #tableWrap.
+ *
+ * @param {Object[]}    rows — flat, transformed row objects
+ * @param {ColumnDef[]} cols — UI column definitions (already filtered: no excelOnly cols)
+ * @param {Object}      [options]
+ * @param {string}      [options.emptyMessage] — replaces the default placeholder
+ *                                               (e.g. when filters match nothing)
+ * @param {SortKey[]}   [options.sort]   — active sort, shown in the header
+ * @param {function(string, boolean)} [options.onSort] — header click handler,
+ *                                               called with (key, shiftKey)
+ * @param {Object}      [options.selection] — adds a checkbox column:
+ *                      { isSelected(id), onToggle(id, checked), onToggleAll(checked) }
+ *
+ * Any other options are for the cell renderers (e.g. `onStatusChange`,
+ * `payments`, `reviews`, `onShowAbstracts`).
+ */
+function renderDataTable(rows, cols, options) {
+  var opts    = options || {};
+  var wrap    = document.getElementById("tableWrap");
+  var empty   = getEmptyState();
+  var visible = redactColumns(cols);
+
+  // ── No data ────────────────────────────────────────────────────────────────
+  if (!rows || rows.length === 0) {
+    clearChildren(wrap);
+    if (opts.emptyMessage) {
+      var msg = document.createElement("div");
+      msg.className   = "empty-state";
+      msg.textContent = opts.emptyMessage;
+      wrap.appendChild(msg);
+    } else if (empty) {
+      empty.style.display = "";
+      wrap.appendChild(empty);
+    }
+    return;
+  }
+
+  // ── Build <table> ──────────────────────────────────────────────────────────
+  var table = document.createElement("table");
+
+  // thead
+  var thead  = document.createElement("thead");
+  var headTr = document.createElement("tr");
+
+  if (opts.selection) {
+    var selTh  = document.createElement("th");
+    var allBox = document.createElement("input");
+    selTh.className = "select-cell";
+    allBox.type     = "checkbox";
+    allBox.title    = "Select all shown rows";
+    allBox.checked  = rows.every(function (r) { return opts.selection.isSelected(r.id); });
+    allBox.addEventListener("change", function () {
+      opts.selection.onToggleAll(allBox.checked);
+    });
+    selTh.appendChild(allBox);
+    headTr.appendChild(selTh);
+  }
+
+  for (var c = 0; c < visible.length; c++) {
+    var th = document.createElement("th");
+    th.textContent = visible[c].label;
+    if (opts.onSort) decorateSortHeader(th, visible[c], opts.sort, opts.onSort);
+    headTr.appendChild(th);
+  }
+  thead.appendChild(headTr);
+  table.appendChild(thead);
+
+  // tbody
+  var tbody = document.createElement("tbody");
+
+  for (var r = 0; r < rows.length; r++) {
+    tbody.appendChild(buildDataRow(rows[r], cols, opts));
+  }
+
+  table.appendChild(tbody);
+
+  // ── Inject into DOM ────────────────────────────────────────────────────────
+  clearChildren(wrap);
+  wrap.appendChild(table);
+}
@@ -0,0 +1,764 @@
+// ---------------------------------------------------------------------------
+// dataset-app.js — Generic page controller for the datasets of datasets.js
+//
+// createDatasetPage() wires everything a page does with its datasets:
+// sync (incremental or full, cancellable), the offline cache, Live updates,
+// the filter bar, column chooser and sorting, rendering (data-table.js),
+// export and the duplicates report. A page with several datasets has one
+// tab each: <button class="tab-btn" data-tab="<dataset key>">.
+//
+// Page scripts (app.js, reg-app.js, schedule-app.js) add what is specific
+// to them through the hooks of DatasetPageConfig, and act on the data
+// through the returned DatasetPage. A page that is not a table (the schedule
+// board) draws its rows itself with the `render` hook.
+//
+// Depends on:
+//   config.js           (CONFIG)
+//   auth.js             (initAuth, isSignedIn, requireSignIn, handleAuthError,
+//                        currentUser)
+//   redaction.js        (redactColumns, sensitivityAccess)
+//   data-fetch.js       (fetchAllRows, mergeRowsById, newestTimestamp, …)
+//   offline-cache.js    (loadCachedTable, saveCachedTable, dropCachedTablesExcept,
+//                        offlineCacheUser, forgetCacheUser)
+//   realtime.js         (subscribeToTable, patchLiveRow)
+//   duplicate-detector.js (createDuplicateIndex, markDuplicates, downloadDuplicateReport)
+//   table-filter.js     (createFilterState, filterRows, renderFilterBar)
+//   column-chooser.js   (loadColumnLayout, applyColumnLayout, renderColumnChooser)
+//   table-sort.js       (sortRows, toggleSort)
+//   columns.js          (uiColumns)
+//   data-table.js       (renderDataTable, buildDataRow)
+//   datasets.js         (DATASETS, exportDataset)
+// ---------------------------------------------------------------------------
+
+/**
+ * Data loaded next to the datasets (reviews, abstract links, …). A failed
+ * fetch returns null: the sync goes on and `failureText` is shown.
+ *
+ * @typedef {Object} RelatedData
+ * @property {function(AbortSignal): Promise<?Object>} fetch
+ * @property {function(Object)}         apply       — before the rows are marked
+ * @property {function(Object, string)} save        — gets the data and syncedAt
+ * @property {function(): Promise}      loadCached  — applies the cached data
+ * @property {function()}               clear       — forgets the data (sign-out)
+ * @property {string}                   failureText
+ */
+
+/**
+ * @typedef {Object} DatasetPageConfig
+ * @property {string[]} datasets — DATASETS keys; the first is shown first
+ * @property {Object<string, string>} [counts] — id of each tab's row count
+ * @property {string}   signedInText — what Sync fetches, for the status line
+ * @property {RelatedData} [related]
+ * @property {function(string, Object[]): Object[]} [markRows] — recompute
+ *           page-specific fields after a dataset's rows change
+ * @property {function(string, Object): Object} [tableOptions] — add the
+ *           page's handlers to renderDataTable's options
+ * @property {function(string, Object[])} [render] — draws the active
+ *           dataset's filtered, sorted rows instead of the data table
+ * @property {function(Object[]): Object[]} [exportRows] — e.g. GDPR mode
+ * @property {function(string, Object[]): Object[]} [exportSheets] — more sheets
+ * @property {function(): string} [exportNote]  — added to export messages
+ * @property {function(): string} [statusNote]  — added to the status line
+ * @property {function(string)}   [onRefresh]   — after the table is drawn
+ * @property {function()}         [onRoleChange]
+ * @property {function(DatasetPage)} [onInit]   — bind the page's own controls
+ */
+
+/**
+ * @param {DatasetPageConfig} config
+ * @returns {DatasetPage}
+ */
+function createDatasetPage(config) {
+  var keys    = config.datasets;
+  // Datasets backed by a Supabase table, in sync order
+  var fetched = keys.filter(function (key) { return DATASETS[key].table; });
+
+  var state = {};
+  keys.forEach(function (key) {
+    state[key] = {
+      rows:      [],
+      watermark: null,
+      filters:   createFilterState(),
+      layout:    loadColumnLayout(key),
+      sort:      [],
+      // Keeps duplicate comparisons between calls of markRows
+      duplicates: DATASETS[key].duplicates ? createDuplicateIndex(DATASETS[key].duplicates) : null,
+    };
+  });
+
+  var activeKey = keys[0];
+  var lastSyncedAt = null;
+  var fetchControllers = [];    // one AbortController per running fetch
+  var liveUnsubscribers = [];   // one per dataset while "Live" is on
+  var shownUserId  = null;      // whose rows are on screen (offline copy included)
+  var offline      = false;     // the Supabase library did not load
+
+  var NO_MATCHES = "No rows match the current search / filters.";
+
+  // ── UI helpers ─────────────────────────────────────────────────────────────
+  function byId(id) { return document.getElementById(id); }
+
+  function note(hook) {
+    return config[hook] ? config[hook]() : "";
+  }
+
+  function setStatus(text) {
+    var el = byId("statusBar");
+    if (el) el.textContent = text;
+  }
+
+  function setError(message) {
+    var err = byId("errorBanner");
+    if (!err) return;
+    err.textContent   = message || "";
+    err.style.display = message ? "" : "none";
+  }
+
+  function setDownloadEnabled(enabled) {
+    var btn = byId("downloadBtn");
+    if (btn) btn.disabled = !enabled;
+
+    // Only datasets with a duplicate rule have a report
+    var dupBtn = byId("duplicatesBtn");
+    if (dupBtn) dupBtn.disabled = !enabled || !DATASETS[activeKey].duplicates;
+  }
+
+  function setButtonLoading(id, isLoading, busyText) {
+    var btn = byId(id);
+    if (!btn) return;
+    if (isLoading) {
+      btn.disabled = true;
+      btn.dataset.originalText = btn.textContent;
+      btn.textContent = busyText;
+    } else {
+      btn.disabled    = false;
+      btn.textContent = btn.dataset.originalText || btn.textContent;
+    }
+  }
+
+  function setSyncLoading(isLoading) {
+    setButtonLoading("syncBtn", isLoading, "Syncing…");
+    var fullBtn = byId("fullSyncBtn");
+    if (fullBtn) fullBtn.disabled = isLoading;
+  }
+
+  function setCancelVisible(visible) {
+    var btn = byId("cancelBtn");
+    if (btn) btn.hidden = !visible;
+  }
+
+  function setCacheIndicator(syncedAt) {
+    var el = byId("cacheIndicator");
+    if (!el) return;
+    el.hidden      = !syncedAt;
+    el.textContent = syncedAt ? "cached from " + new Date(syncedAt).toLocaleString() : "";
+  }
+
+  function assertConfig() {
+    if (!CONFIG || !CONFIG.SUPABASE_URL || !CONFIG.SUPABASE_KEY) {
+      throw new Error("Missing Supabase configuration in config.js.");
+    }
+  }
+
+  // ── Data fetching ──────────────────────────────────────────────────────────
+  // Sync, the archive and the book of abstracts may run side by side: each
+  // has its own controller, and Cancel stops them all
+  function beginFetch() {
+    var controller = new AbortController();
+    fetchControllers.push(controller);
+    setCancelVisible(true);
+    return controller.signal;
+  }
+
+  function endFetch(signal) {
+    fetchControllers = fetchControllers.filter(function (c) { return c.signal !== signal; });
+    setCancelVisible(fetchControllers.length > 0);
+  }
+
+  function cancelFetch() {
+    fetchControllers.forEach(function (c) { c.abort(); });
+  }
+
+  /**
+   * fetchAllRows with progress in the status line.
+   *
+   * @param {string}      tableName
+   * @param {string}      noun    — e.g. "abstracts"
+   * @param {?AbortSignal} signal
+   * @param {Object}      [options] — more fetchAllRows options (since, …)
+   */
+  function fetchTable(tableName, noun, signal, options) {
+    setStatus("Fetching " + noun + "…");
+    return fetchAllRows(tableName, Object.assign({}, options, {
+      signal: signal,
+      onProgress: function (done, total) {
+        setStatus("Fetching " + noun + "… " + fetchProgressText(done, total));
+      },
+    }));
+  }
+
+  function saveCache(key, syncedAt) {
+    var s = state[key];
+    saveCachedTable(DATASETS[key].table, s.rows, syncedAt || new Date().toISOString(), s.watermark);
+  }
+
+  function hasAnyRows() {
+    return fetched.some(function (key) { return state[key].rows.length > 0; });
+  }
+
+  // ── Rows ───────────────────────────────────────────────────────────────────
+  function setCount(key) {
+    var el = config.counts && byId(config.counts[key]);
+    if (el) el.textContent = state[key].rows.length;
+  }
+
+  // Recompute duplicate flags and the page's own fields after a dataset's
+  // rows change
+  function markRows(key) {
+    var dataset = DATASETS[key];
+    if (dataset.duplicates) {
+      state[key].rows = markDuplicates(state[key].rows, dataset.duplicates, state[key].duplicates);
+    }
+    if (config.markRows) state[key].rows = config.markRows(key, state[key].rows);
+  }
+
+  function rowsByKey() {
+    var rows = {};
+    keys.forEach(function (key) { rows[key] = state[key].rows; });
+    return rows;
+  }
+
+  function updateComputed() {
+    keys.forEach(function (key) {
+      if (!DATASETS[key].compute) return;
+      state[key].rows = DATASETS[key].compute(rowsByKey());
+      markRows(key);
+      setCount(key);
+    });
+  }
+
+  function setRows(key, rows) {
+    state[key].rows = rows;
+    markRows(key);
+    setCount(key);
+    updateComputed();
+  }
+
+  // Forget every row (and the related data) held in memory
+  function clearData() {
+    lastSyncedAt = null;
+    if (config.related) config.related.clear();
+    keys.forEach(function (key) {
+      state[key].rows      = [];
+      state[key].watermark = null;
+      markRows(key);
+      setCount(key);
+    });
+    setCacheIndicator(null);
+    renderActive();
+  }
+
+  // ── Rendering ──────────────────────────────────────────────────────────────
+  // UI columns picked in the column chooser that the user's role may see
+  function viewColumns(key) {
+    return redactColumns(applyColumnLayout(uiColumns(DATASETS[key].columns), state[key].layout));
+  }
+
+  function canSee(key) {
+    return sensitivityAccess(DATASETS[key].sensitivity) !== "hide";
+  }
+
+  function visibleRows(key) {
+    key = key || activeKey;
+    var cols = viewColumns(key);
+    return sortRows(filterRows(state[key].rows, cols, state[key].filters), cols, state[key].sort);
+  }
+
+  function onSort(sortKey, additive) {
+    var s = state[activeKey];
+    s.sort = toggleSort(s.sort, sortKey, additive);
+    refreshView();
+  }
+
+  function tableOptions(key) {
+    var opts = {
+      emptyMessage: state[key].rows.length ? NO_MATCHES : "",
+      sort:         state[key].sort,
+      onSort:       onSort,
+    };
+    return config.tableOptions ? config.tableOptions(key, opts) : opts;
+  }
+
+  function refreshView() {
+    var rows = visibleRows(activeKey);
+    if (config.render) {
+      config.render(activeKey, rows);
+    } else {
+      renderDataTable(rows, viewColumns(activeKey), tableOptions(activeKey));
+    }
+    setFilterCount(byId("filterBar"), rows.length, state[activeKey].rows.length);
+    if (config.onRefresh) config.onRefresh(activeKey);
+  }
+
+  function rebuildFilters() {
+    var s = state[activeKey];
+    renderFilterBar(byId("filterBar"), viewColumns(activeKey), s.rows, s.filters, refreshView);
+    renderColumnChooser(byId("columnBar"), redactColumns(DATASETS[activeKey].columns), s.layout,
+      activeKey, onLayoutChange);
+  }
+
+  function onLayoutChange(layout) {
+    state[activeKey].layout = layout;
+    rebuildFilters();
+    refreshView();
+  }
+
+  function statusLine() {
+    var dataset = DATASETS[activeKey];
+    var rows    = state[activeKey].rows;
+    var summary = dataset.summary ? " (" + dataset.summary(rows) + ")" : "";
+    return rows.length + " " + dataset.noun + summary + " — synced at " + lastSyncedAt + note("statusNote");
+  }
+
+  function renderActive() {
+    rebuildFilters();
+    refreshView();
+    setDownloadEnabled(state[activeKey].rows.length > 0);
+    if (lastSyncedAt) setStatus(statusLine());
+  }
+
+  // Hide the tabs the role may not see, leaving them if one is active
+  function applyRole() {
+    if (!canSee(activeKey)) activeKey = keys[0];
+
+    var buttons = document.querySelectorAll(".tab-btn[data-tab]");
+    for (var i = 0; i < buttons.length; i++) {
+      var key = buttons[i].dataset.tab;
+      buttons[i].hidden = !state[key] || !canSee(key);
+      buttons[i].classList.toggle("active", key === activeKey);
+    }
+    if (config.onRoleChange) config.onRoleChange();
+  }
+
+  function switchTab(key) {
+    if (!state[key] || key === activeKey || !canSee(key)) return;
+    activeKey = key;
+
+    var buttons = document.querySelectorAll(".tab-btn[data-tab]");
+    for (var i = 0; i < buttons.length; i++) {
+      buttons[i].classList.toggle("active", buttons[i].dataset.tab === key);
+    }
+
+    renderActive();
+  }
+
+  // ── Sync ───────────────────────────────────────────────────────────────────
+  /**
+   * Incremental unless `fullResync` is set: each dataset that already has
+   * rows only fetches rows created/updated after its watermark and merges
+   * them by id. Deleted rows only disappear on a full resync.
+   *
+   * @param {boolean} fullResync
+   */
+  async function syncData(fullResync) {
+    if (!requireSignIn()) return;
+    setError(null);
+    setSyncLoading(true);
+    setDownloadEnabled(false);
+    var signal = beginFetch();
+
+    try {
+      assertConfig();
+
+      // Fetch everything before touching the rows, so a cancelled or failed
+      // sync never leaves the tabs showing data from different points in time
+      var raw = {};
+      for (var i = 0; i < fetched.length; i++) {
+        var dataset = DATASETS[fetched[i]];
+        var s       = state[fetched[i]];
+        var since   = !fullResync && s.watermark && s.rows.length ? s.watermark : null;
+        raw[fetched[i]] = {
+          since: since,
+          rows:  await fetchTable(dataset.table, dataset.noun, signal, {
+            since:        since,
+            sinceColumns: dataset.watermarkColumns,
+            orderBy:      dataset.orderBy,
+          }),
+        };
+      }
+      var related = config.related ? await config.related.fetch(signal) : null;
+      if (related) config.related.apply(related);
+
+      var added   = 0;
+      var updated = 0;
+      var anyIncremental = false;
+      fetched.forEach(function (key) {
+        var st  = state[key];
+        var res = raw[key];
+        var incoming = DATASETS[key].transform(res.rows);
+
+        if (res.since) {
+          var merged = mergeRowsById(st.rows, incoming);
+          st.rows  = merged.rows;
+          added   += merged.added;
+          updated += merged.updated;
+          anyIncremental = true;
+        } else {
+          st.rows = incoming;
+        }
+        markRows(key);
+        st.watermark = newestTimestamp(res.rows, DATASETS[key].watermarkColumns, res.since);
+        setCount(key);
+      });
+      updateComputed();
+
+      var syncedAt = new Date().toISOString();
+      lastSyncedAt = new Date(syncedAt).toLocaleString();
+      renderActive();
+      setCacheIndicator(null);
+
+      fetched.forEach(function (key) { saveCache(key, syncedAt); });
+      if (related) config.related.save(related, syncedAt);
+      else if (config.related) setError(config.related.failureText);
+
+      if (anyIncremental) setStatus(added + " added, " + updated + " updated — " + statusLine());
+
+    } catch (err) {
+      if (isFetchCancelled(err)) {
+        setStatus("Sync cancelled — previously loaded data kept.");
+        setDownloadEnabled(state[activeKey].rows.length > 0);
+        return;
+      }
+      if (handleAuthError(err)) {
+        setStatus("Signed out — sign in again to sync.");
+        setDownloadEnabled(state[activeKey].rows.length > 0);
+        return;
+      }
+      setError("Fetch error: " + (err.message || err));
+      if (hasAnyRows()) {
+        // Nothing was replaced yet; keep showing the cached / previous data
+        setStatus("Sync failed — previously loaded data kept.");
+        setDownloadEnabled(state[activeKey].rows.length > 0);
+        return;
+      }
+      setStatus("Sync failed.");
+      lastSyncedAt = null;
+      fetched.forEach(function (key) {
+        state[key].rows      = [];
+        state[key].watermark = null;
+        setCount(key);
+      });
+      updateComputed();
+      renderActive();
+    } finally {
+      endFetch(signal);
+      setSyncLoading(false);
+    }
+  }
+
+  // ── Live updates ───────────────────────────────────────────────────────────
+  // Changes are merged into the dataset's rows; if it is on screen the
+  // matching <tr> is patched in place. Watermarks are left alone so the next
+  // sync still catches anything missed while Live was off.
+
+  // The duplicate partners of every flagged row but `exceptId`, to tell
+  // whether a change flagged or unflagged other rows too
+  function otherDuplicateMarks(rows, exceptId) {
+    return rows
+      .filter(function (r) { return r.duplicate_flag && String(r.id) !== String(exceptId); })
+      .map(function (r) { return r.id + ":" + r.duplicate_of; })
+      .join("|");
+  }
+
+  function applyLiveChange(key, change) {
+    var st  = state[key];
+    var row = change.type === "DELETE" ? null : DATASETS[key].transform([change.row])[0];
+    var id  = row ? row.id : change.id;
+    var marksBefore = otherDuplicateMarks(st.rows, id);
+
+    if (row) {
+      st.rows = mergeRowsById(st.rows, [row]).rows;
+    } else {
+      st.rows = st.rows.filter(function (r) { return String(r.id) !== String(id); });
+    }
+    markRows(key);
+    // Pick up the row's flags
+    if (row) row = st.rows.filter(function (r) { return String(r.id) === String(id); })[0];
+
+    setCount(key);
+    saveCache(key);
+    updateComputed();
+    if (DATASETS[activeKey].compute || config.render) {
+      rebuildFilters();
+      refreshView();
+      return;
+    }
+    if (key !== activeKey) return;
+
+    var cols  = viewColumns(key);
+    var shown = row && filterRows([row], cols, st.filters).length > 0;
+    // Other rows' duplicate badges changed, or a sorted table needs the row
+    // at its sorted position rather than where it was or at the end: redraw
+    if (otherDuplicateMarks(st.rows, id) !== marksBefore || (row && st.sort.length > 0)) {
+      rebuildFilters();
+      refreshView();
+    } else if (!patchLiveRow(id, shown ? buildDataRow(row, cols, tableOptions(key)) : null)) {
+      // Nothing rendered yet (empty state)
+      rebuildFilters();
+      refreshView();
+    }
+
+    setFilterCount(byId("filterBar"),
+      byId("tableWrap").querySelectorAll("tbody tr").length, st.rows.length);
+    setDownloadEnabled(st.rows.length > 0);
+  }
+
+  function setLive(enabled) {
+    var toggle = byId("liveToggle");
+
+    liveUnsubscribers.forEach(function (unsubscribe) { unsubscribe(); });
+    liveUnsubscribers = [];
+    if (!enabled) return;
+
+    if (!requireSignIn()) {
+      if (toggle) toggle.checked = false;
+      return;
+    }
+
+    fetched.forEach(function (key) {
+      liveUnsubscribers.push(subscribeToTable(
+        DATASETS[key].table,
+        function (change) { applyLiveChange(key, change); },
+        function (status) {
+          if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+            setError("Live updates unavailable for " + DATASETS[key].noun + " (" + status + ").");
+            if (toggle) toggle.checked = false;
+            setLive(false);
+          }
+        }
+      ));
+    });
+    setStatus("Live updates on.");
+  }
+
+  // ── Offline cache ──────────────────────────────────────────────────────────
+  // Show the last sync from IndexedDB until the user syncs again. The
+  // indicator shows the oldest of the cache times.
+  async function loadFromCache(userId) {
+    await dropCachedTablesExcept(userId);
+    var cached = await Promise.all(fetched.map(function (key) {
+      return loadCachedTable(DATASETS[key].table);
+    }));
+    var cachedRelated = config.related ? await config.related.loadCached() : null;
+    if (hasAnyRows()) return;   // a sync finished first
+    if (shownUserId !== userId) return;   // signed out or in as another user meanwhile
+    if (cachedRelated) config.related.apply(cachedRelated);
+
+    var oldest = null;
+    fetched.forEach(function (key, i) {
+      var entry = cached[i];
+      if (!entry) return;
+      state[key].rows      = entry.rows || [];
+      state[key].watermark = entry.watermark;
+      markRows(key);
+      setCount(key);
+      if (!oldest || entry.syncedAt < oldest) oldest = entry.syncedAt;
+    });
+    if (!oldest) return;
+
+    updateComputed();
+    renderActive();
+    setCacheIndicator(oldest);
+    if (isSignedIn()) {
+      setStatus("Showing cached data — press Sync to refresh.");
+    } else {
+      var owner = offlineCacheUser();
+      setStatus("Showing the last sync of " + (owner ? owner.email : "the last user") +
+        (offline ? " — offline: signing in and Sync need a connection." : " — sign in to sync."));
+    }
+  }
+
+  // Before Supabase Auth answers, or when its library did not load: the
+  // offline copy of whoever saved it last. onSignedIn / onSignedOut clear it
+  // if the session is someone else's or nobody's.
+  function showOfflineCopy() {
+    var owner = offlineCacheUser();
+    if (!owner) return false;
+    applyRole();
+    shownUserId = owner.id;
+    loadFromCache(owner.id);
+    return true;
+  }
+
+  // Exports only need the rows on screen, so they work on the offline copy
+  function canExport() {
+    return isSignedIn() || (shownUserId !== null && hasAnyRows()) || requireSignIn();
+  }
+
+  // ── Export ─────────────────────────────────────────────────────────────────
+  // Rows to export, in the on-screen sort order: the whole dataset, or only
+  // what the filters currently show; then the page's export rule is applied
+  function exportRows(key) {
+    key = key || activeKey;
+    var onlyFiltered = byId("exportFilteredOnly");
+    var rows = onlyFiltered && onlyFiltered.checked
+      ? visibleRows(key)
+      : sortRows(state[key].rows, viewColumns(key), state[key].sort);
+    return config.exportRows ? config.exportRows(rows) : rows;
+  }
+
+  function exportFormat() {
+    var select = byId("exportFormat");
+    return select ? select.value : "xlsx";
+  }
+
+  function exportActive() {
+    if (!canExport()) return;
+    var dataset = DATASETS[activeKey];
+    var rows    = exportRows(activeKey);
+    if (!rows.length) return;
+
+    var filename = exportDataset(dataset, rows, {
+      format:      exportFormat(),
+      layout:      state[activeKey].layout,
+      extraSheets: config.exportSheets ? config.exportSheets(activeKey, rows) : [],
+    });
+    setStatus("Exported " + filename + " — " + rows.length + " " + dataset.noun + note("exportNote") + ".");
+  }
+
+  function exportDuplicates() {
+    var dataset = DATASETS[activeKey];
+    if (!dataset.duplicates || !canExport()) return;
+
+    var groups = downloadDuplicateReport(exportRows(activeKey), dataset.duplicates, dataset.fileBase);
+    setStatus(groups
+      ? "Duplicate report exported — " + groups + " group(s) of suspected duplicate " + dataset.noun +
+        note("exportNote") + "."
+      : "No suspected duplicate " + dataset.noun + " found.");
+  }
+
+  // ── Sign-in ────────────────────────────────────────────────────────────────
+  // Rows in memory and in the cache are only ever one user's: RLS may have
+  // shown whoever synced them rows the next user must not see. Before
+  // sign-in that is the offline copy's user (showOfflineCopy).
+  function onSignedIn(user) {
+    // The role decides which tabs and columns are shown
+    applyRole();
+    // Another account than the one whose rows are shown
+    if (hasAnyRows() && shownUserId !== user.id) {
+      cancelFetch();
+      clearData();
+    }
+    var keepRows = hasAnyRows();
+    shownUserId = user.id;
+    if (keepRows) {
+      setStatus("Signed in as " + user.email + " — showing cached data, press Sync to refresh.");
+      dropCachedTablesExcept(user.id);
+      return;
+    }
+    setStatus("Signed in as " + user.email + " — press Sync to fetch " + config.signedInText + "…");
+    loadFromCache(user.id);
+  }
+
+  // Also when the page loads without a session: the offline copy goes too,
+  // and is not shown before the next sign-in
+  function onSignedOut() {
+    var wasShown = shownUserId !== null;
+    var toggle = byId("liveToggle");
+    if (toggle) toggle.checked = false;
+    setLive(false);
+    cancelFetch();
+    shownUserId = null;
+    forgetCacheUser();
+    clearData();
+    applyRole();
+    setStatus(wasShown ? "Signed out." : "");
+  }
+
+  // The Supabase library did not load: keep the offline copy up instead of
+  // the sign-in gate, if there is one
+  function onOffline() {
+    offline = true;
+    return shownUserId !== null;
+  }
+
+  /**
+   * @typedef {Object} DatasetPage
+   * @property {function(string): Object[]} rows
+   * @property {function(string, Object[])} setRows — replaces a dataset's
+   *           rows and recomputes its flags, count and computed datasets
+   * @property {function(): string} activeKey
+   * @property {function(string=): Object[]} visibleRows — filtered and sorted
+   * @property {function(string=): Object[]} exportRows
+   * @property {function()} refresh        — redraw the table
+   * @property {function()} rebuildFilters — after new filter values appear
+   * @property {function(string, string=)} saveCache
+   * @property {function(string)} setStatus
+   * @property {function(?string)} setError
+   * @property {function(string, boolean, string=)} setButtonLoading
+   * @property {function()} assertConfig
+   * @property {function(): boolean} canExport — signed in, or showing the
+   *           offline copy; shows the sign-in gate otherwise
+   * @property {function(): AbortSignal} beginFetch — a new controller's signal
+   * @property {function(AbortSignal)} endFetch   — call once that fetch is over
+   * @property {function(string, string, ?AbortSignal, Object=): Promise<Object[]>} fetchTable
+   * @property {function(boolean): Promise} sync
+   */
+  var page = {
+    rows:             function (key) { return state[key].rows; },
+    setRows:          setRows,
+    activeKey:        function () { return activeKey; },
+    visibleRows:      visibleRows,
+    exportRows:       exportRows,
+    refresh:          refreshView,
+    rebuildFilters:   rebuildFilters,
+    saveCache:        saveCache,
+    setStatus:        setStatus,
+    setError:         setError,
+    setButtonLoading: setButtonLoading,
+    assertConfig:     assertConfig,
+    canExport:        canExport,
+    beginFetch:       beginFetch,
+    endFetch:         endFetch,
+    fetchTable:       fetchTable,
+    sync:             syncData,
+  };
+
+  // ── Init ───────────────────────────────────────────────────────────────────
+  function init() {
+    var syncBtn     = byId("syncBtn");
+    var downloadBtn = byId("downloadBtn");
+    var dupBtn      = byId("duplicatesBtn");
+    var cancelBtn   = byId("cancelBtn");
+    var fullSyncBtn = byId("fullSyncBtn");
+    var liveToggle  = byId("liveToggle");
+
+    if (syncBtn)     syncBtn.addEventListener("click", function () { syncData(false); });
+    if (fullSyncBtn) fullSyncBtn.addEventListener("click", function () { syncData(true); });
+    if (cancelBtn)   cancelBtn.addEventListener("click", cancelFetch);
+    if (liveToggle)  liveToggle.addEventListener("change", function () { setLive(liveToggle.checked); });
+    if (downloadBtn) downloadBtn.addEventListener("click", exportActive);
+    if (dupBtn)      dupBtn.addEventListener("click", exportDuplicates);
+
+    var tabButtons = document.querySelectorAll(".tab-btn[data-tab]");
+    for (var i = 0; i < tabButtons.length; i++) {
+      tabButtons[i].addEventListener("click", function (e) {
+        switchTab(e.currentTarget.dataset.tab);
+      });
+    }
+
+    if (config.onInit) config.onInit(page);
+    setDownloadEnabled(false);
+    showOfflineCopy();
+    initAuth({ onSignedIn: onSignedIn, onSignedOut: onSignedOut, onOffline: onOffline });
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+
+  window.appSync = syncData;
+  return page;
+}
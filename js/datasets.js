@@ -0,0 +1,174 @@
+// ---------------------------------------------------------------------------
+// datasets.js — One entry per table shown on a page
+//
+// Everything dataset-app.js (controller), data-table.js (renderer) and
+// exportDataset() (exporter) need to know about a table lives here, so a
+// new table is a new entry plus a tab on the page:
+//
+//   table            — Supabase table; null for datasets computed from others
+//   orderBy          — primary order column of the fetch
+//   watermarkColumns — compared against the watermark on incremental syncs
+//   transform        — raw rows → transformed rows
+//   columns          — ColumnDef list (UI and export); each column's `type`
+//                      picks its cell type (cell-types.js)
+//   duplicates       — DuplicateRule, if the table gets duplicate checks
+//   compute          — rows by dataset key → rows, for computed datasets
+//   sensitivity      — hides the whole dataset from roles without access
+//   fileBase         — exports are `<fileBase>_<timestamp>.<format>`, the
+//                      duplicates report `<fileBase>_duplicates_<timestamp>`
+//   exportName       — fixed export file name instead (no timestamp)
+//   extraSheets      — rows → more XLSX / ODS sheets
+//   jsonRecord       — reshapes each JSON export record
+//   summary          — rows → text added to the status line
+//
+// Incremental sync only sees an edit to an existing row (a status change, a
+// confirmed payment) through its `updated_at`, so every fetched table keeps
+// one current on each update:
+//
+//   create or replace function set_updated_at() returns trigger
+//   language plpgsql as $$ begin new.updated_at := now(); return new; end $$;
+//
+//   alter table abstracts add column if not exists updated_at timestamptz default now();
+//   create trigger abstracts_updated_at before update on abstracts
+//     for each row execute function set_updated_at();
+//
+//   -- the same for thematic_session_submissions_2026 (CONFIG.TABLE_NAME),
+//   -- registrations and payment_receipts
+//
+// Depends on: config.js (CONFIG), columns.js, reg-columns.js, transform.js,
+//             reg-transform.js, duplicate-detector.js, reconciliation.js,
+//             author-parser.js, export-formats.js, column-chooser.js
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Dataset
+ * @property {string}      key  — set from the registry key
+ * @property {?string}     table
+ * @property {string}      [orderBy="created_at"]
+ * @property {string[]}    [watermarkColumns]
+ * @property {function(Object[]): Object[]} [transform]
+ * @property {ColumnDef[]} columns
+ * @property {DuplicateRule} [duplicates]
+ * @property {function(Object<string, Object[]>): Object[]} [compute]
+ * @property {string}      [sensitivity]
+ * @property {string}      noun
+ * @property {string}      sheetName
+ * @property {string}      fileBase
+ * @property {string}      [exportName]
+ * @property {function(Object[]): {name: string, sheet: Object}[]} [extraSheets]
+ * @property {function(Object): Object} [jsonRecord]
+ * @property {function(Object[]): string} [summary]
+ */
+
+/** @type {Object<string, Dataset>} */
+var DATASETS = {
+  sessions: {
+    table:            CONFIG.TABLE_NAME,
+    orderBy:          "created_at",
+    watermarkColumns: ["created_at", "updated_at"],
+    transform:        transformRows,
+    columns:          DISPLAY_COLUMNS,
+    duplicates:       DUPLICATE_RULES.sessions,
+    noun:             "sessions",
+    sheetName:        "Submissions",
+    fileBase:         "thematic_sessions",
+    exportName:       "thematic_session_submissions_2026",
+    // One row per organizer of the exported sessions
+    extraSheets: function (rows) {
+      return [{ name: "Organizers", sheet: buildSheet(unpivotOrganizers(rows), ORGANIZER_COLUMNS) }];
+    },
+    // JSON records carry the organizers nested, as stored in Supabase
+    jsonRecord:       nestOrganizers,
+  },
+
+  registrations: {
+    table:            "registrations",
+    orderBy:          "created_at",
+    watermarkColumns: ["created_at", "updated_at"],
+    transform:        transformRegistrations,
+    columns:          REGISTRATION_COLUMNS,
+    duplicates:       DUPLICATE_RULES.registrations,
+    noun:             "registrations",
+    sheetName:        "Registrations",
+    fileBase:         "registrations",
+  },
+
+  abstracts: {
+    table:            "abstracts",
+    orderBy:          "created_at",
+    watermarkColumns: ["created_at", "updated_at"],
+    transform:        transformAbstracts,
+    columns:          ABSTRACT_COLUMNS,
+    duplicates:       DUPLICATE_RULES.abstracts,
+    noun:             "abstracts",
+    sheetName:        "Abstracts",
+    fileBase:         "abstracts",
+    extraSheets: function (rows) {
+      return [{ name: "Authors", sheet: buildSheet(authorRows(rows), AUTHOR_COLUMNS) }];
+    },
+  },
+
+  payments: {
+    table:            "payment_receipts",
+    orderBy:          "created_at",
+    watermarkColumns: ["created_at", "updated_at"],
+    transform:        transformPayments,
+    columns:          PAYMENT_COLUMNS,
+    sensitivity:      "payment",
+    noun:             "payment receipts",
+    sheetName:        "Payment Receipts",
+    fileBase:         "payment_receipts",
+  },
+
+  // Never fetched or cached itself
+  reconciliation: {
+    table:            null,
+    compute: function (rows) {
+      return buildReconciliation(rows.registrations, rows.abstracts, rows.payments);
+    },
+    columns:          RECONCILIATION_COLUMNS,
+    sensitivity:      "payment",
+    noun:             "mismatches",
+    sheetName:        "Reconciliation",
+    fileBase:         "reconciliation",
+    extraSheets: function (rows) {
+      return [{ name: "Summary", sheet: buildSheet(reconciliationSummary(rows), RECONCILIATION_SUMMARY_COLUMNS) }];
+    },
+    // e.g. "Abstract without registration: 2, Registered, no receipt: 5, …"
+    summary: function (rows) {
+      return reconciliationSummary(rows).map(function (s) {
+        return s.category + ": " + s.count;
+      }).join(", ");
+    },
+  },
+};
+
+Object.keys(DATASETS).forEach(function (key) { DATASETS[key].key = key; });
+
+// ── Export ────────────────────────────────────────────────────────────────────
+
+/**
+ * Download a dataset's rows in one of EXPORT_FORMATS, with the columns
+ * picked in the column chooser and the dataset's extra sheets.
+ *
+ * @param {Dataset}  dataset
+ * @param {Object[]} rows
+ * @param {Object}   options
+ * @param {string}   options.format
+ * @param {ColumnLayout} options.layout
+ * @param {{name: string, sheet: Object}[]} [options.extraSheets] — added
+ *                   after the dataset's own (e.g. the page's review summary)
+ * @returns {string} the file name written
+ */
+function exportDataset(dataset, rows, options) {
+  var timestamp = fileTimestamp();
+  var extra     = dataset.extraSheets ? dataset.extraSheets(rows) : [];
+
+  return downloadTable(rows, applyColumnLayout(excelColumns(dataset.columns), options.layout), {
+    format:      options.format,
+    fileBase:    dataset.exportName || dataset.fileBase + "_" + timestamp,
+    sheetName:   dataset.sheetName,
+    extraSheets: extra.concat(options.extraSheets || []),
+    jsonRecord:  dataset.jsonRecord,
+  });
+}
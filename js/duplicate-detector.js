@@ -0,0 +1,390 @@
+// ---------------------------------------------------------------------------
+// duplicate-detector.js — Flag suspected duplicate submissions on both pages
+//
+// Rows are compared pairwise on the transformed data:
+//
+//   • person match — the same normalised email, or a fuzzy match on
+//                    first + last name (either order)
+//   • title match  — fuzzy similarity of the title field
+//
+// Datasets without a title field (registrations) count a person match as a
+// duplicate. With a title field (abstracts, thematic sessions) a very similar
+// title is enough on its own, and a person match needs a loosely similar
+// title too — the same author may well submit two different abstracts.
+//
+// Matching rows are grouped (A~B, B~C → one group) and marked with
+// `duplicate_flag` / `duplicate_of`; duplicateReportRows() lists the groups
+// for export. The pages keep a createDuplicateIndex() per dataset so that a
+// live change or an incremental sync only compares the rows that changed.
+//
+// Depends on: text-utils.js (normaliseEmail, bigramProfile, profileSimilarity),
+//             export-formats.js (downloadTable, fileTimestamp) for the report,
+//             cell-types.js (registerCellType)
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} DuplicateRule
+ * @property {{first: string, last: string, email: string}[]} people
+ *           — keys of the people on a row (several for thematic sessions)
+ * @property {string} [title] — key of the title field, if any
+ */
+
+var DUPLICATE_NAME_SIMILARITY   = 0.85;
+var DUPLICATE_TITLE_SIMILARITY  = 0.85;
+// Title similarity still required when the person already matches
+var DUPLICATE_SAME_PERSON_TITLE = 0.5;
+
+var DUPLICATE_FLAG = "Possible duplicate";
+
+function organizerKeys(prefix) {
+  return {
+    first: prefix + "_firstName",
+    last:  prefix + "_lastName",
+    email: prefix + "_email",
+  };
+}
+
+/** @type {Object<string, DuplicateRule>} */
+var DUPLICATE_RULES = {
+  registrations: {
+    people: [{ first: "first_name", last: "last_name", email: "email" }],
+  },
+  abstracts: {
+    people: [{ first: "first_name", last: "last_name", email: "email" }],
+    title:  "title",
+  },
+  sessions: {
+    people: [
+      organizerKeys("organizer_primary"),
+      organizerKeys("organizer_secondary"),
+      organizerKeys("organizer_tertiary"),
+    ],
+    title:  "session_title",
+  },
+};
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+/**
+ * Precompute everything the pairwise comparison needs for one row.
+ *
+ * @param {Object}        row
+ * @param {DuplicateRule} rule
+ */
+function duplicateProfile(row, rule) {
+  var people = [];
+  for (var i = 0; i < rule.people.length; i++) {
+    var keys  = rule.people[i];
+    var first = row[keys.first] || "";
+    var last  = row[keys.last]  || "";
+    var email = normaliseEmail(row[keys.email]);
+    if (!email && !(first && last)) continue;
+
+    people.push({
+      email:   email,
+      name:    first && last ? bigramProfile(first + " " + last) : null,
+      swapped: first && last ? bigramProfile(last + " " + first) : null,
+    });
+  }
+
+  return {
+    people: people,
+    title:  rule.title && row[rule.title] ? bigramProfile(row[rule.title]) : null,
+  };
+}
+
+/**
+ * How two people match: "same email", "similar name" or null.
+ */
+function personMatch(a, b) {
+  if (a.email && a.email === b.email) return "same email";
+  if (a.name && b.name) {
+    var sim = Math.max(profileSimilarity(a.name, b.name), profileSimilarity(a.name, b.swapped));
+    if (sim >= DUPLICATE_NAME_SIMILARITY) return "similar name";
+  }
+  return null;
+}
+
+/**
+ * Reasons two profiled rows look like duplicates; empty if they do not.
+ *
+ * @returns {string[]}
+ */
+function duplicateReasons(a, b, rule) {
+  var person = null;
+  for (var i = 0; i < a.people.length && !person; i++) {
+    for (var j = 0; j < b.people.length && !person; j++) {
+      person = personMatch(a.people[i], b.people[j]);
+    }
+  }
+
+  if (!rule.title) return person ? [person] : [];
+
+  var titleSim = a.title && b.title ? profileSimilarity(a.title, b.title) : 0;
+  if (titleSim >= DUPLICATE_TITLE_SIMILARITY) {
+    return person ? [person, "similar title"] : ["similar title"];
+  }
+  // Same person, both without a title, counts as a plain resubmission
+  if (person && (titleSim >= DUPLICATE_SAME_PERSON_TITLE || (!a.title && !b.title))) {
+    return [person];
+  }
+  return [];
+}
+
+// The fields a row's profile is built from; the profile is only rebuilt when
+// they change
+function duplicateSignature(row, rule) {
+  var values = [];
+  rule.people.forEach(function (keys) {
+    values.push(row[keys.first], row[keys.last], row[keys.email]);
+  });
+  if (rule.title) values.push(row[rule.title]);
+  return JSON.stringify(values);
+}
+
+/**
+ * Profiles and pairwise matches kept between calls, keyed by row id. Each
+ * call only compares the rows that are new or changed since the last one
+ * against the rest, so a live change costs one pass over the rows rather
+ * than every pair again.
+ *
+ * @param {DuplicateRule} rule
+ * @returns {{groups: function(Object[]): {rows: Object[], reasons: string[]}[]}}
+ */
+function createDuplicateIndex(rule) {
+  var profiles = {};   // id → { signature, profile }
+  var matches  = {};   // id → { other id → reasons }
+
+  function forget(id) {
+    Object.keys(matches[id] || {}).forEach(function (other) {
+      if (matches[other]) delete matches[other][id];
+    });
+    delete matches[id];
+    delete profiles[id];
+  }
+
+  function update(rows, pos) {
+    Object.keys(profiles).forEach(function (id) {
+      if (!(id in pos)) forget(id);
+    });
+
+    var changed = [];
+    rows.forEach(function (r) {
+      var signature = duplicateSignature(r, rule);
+      if (profiles[r.id] && profiles[r.id].signature === signature) return;
+      forget(r.id);
+      profiles[r.id] = { signature: signature, profile: duplicateProfile(r, rule) };
+      matches[r.id]  = {};
+      changed.push(r.id);
+    });
+
+    var compared = {};
+    changed.forEach(function (id) {
+      compared[id] = true;
+      rows.forEach(function (other) {
+        if (compared[other.id]) return;
+        // Earlier row first, as a full pass would compare them
+        var first  = pos[id] < pos[other.id] ? id : other.id;
+        var second = first === id ? other.id : id;
+        var why    = duplicateReasons(profiles[first].profile, profiles[second].profile, rule);
+        if (why.length === 0) return;
+        matches[id][other.id] = why;
+        matches[other.id][id] = why;
+      });
+    });
+  }
+
+  /**
+   * Find groups of suspected duplicates.
+   *
+   * @param {Object[]} rows — transformed rows (need a unique `id`)
+   * @returns {{rows: Object[], reasons: string[]}[]} groups of two or more
+   *          rows, in the order their first row appears
+   */
+  function groups(rows) {
+    var pos = {};
+    rows.forEach(function (r, i) { pos[r.id] = i; });
+    update(rows, pos);
+
+    // Union-find over row indexes
+    var parent = rows.map(function (_r, i) { return i; });
+    function root(i) {
+      while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+      return i;
+    }
+
+    // Each row's reasons, in the order of the rows it matches
+    var reasons = rows.map(function (r, i) {
+      var others = Object.keys(matches[r.id]).map(function (id) { return pos[id]; });
+      if (others.length === 0) return null;
+      others.sort(function (a, b) { return a - b; });
+      return others.reduce(function (all, j) {
+        var ri = root(i);
+        var rj = root(j);
+        if (ri !== rj) parent[Math.max(ri, rj)] = Math.min(ri, rj);
+        return all.concat(matches[r.id][rows[j].id]);
+      }, []);
+    });
+
+    var byRoot = {};
+    var order  = [];
+    for (var i = 0; i < rows.length; i++) {
+      if (!reasons[i]) continue;
+      var r = root(i);
+      if (!byRoot[r]) {
+        byRoot[r] = { rows: [], reasons: [] };
+        order.push(r);
+      }
+      byRoot[r].rows.push(rows[i]);
+      reasons[i].forEach(function (why) {
+        if (byRoot[r].reasons.indexOf(why) === -1) byRoot[r].reasons.push(why);
+      });
+    }
+    return order.map(function (r) { return byRoot[r]; });
+  }
+
+  return { groups: groups };
+}
+
+/**
+ * Find groups of suspected duplicates.
+ *
+ * @param {Object[]}      rows — transformed rows (need a unique `id`)
+ * @param {DuplicateRule} rule
+ * @param {Object}        [index] — from createDuplicateIndex, to reuse the
+ *                                  comparisons of earlier calls
+ * @returns {{rows: Object[], reasons: string[]}[]} groups of two or more rows,
+ *          in the order their first row appears
+ */
+function findDuplicateGroups(rows, rule, index) {
+  return (index || createDuplicateIndex(rule)).groups(rows);
+}
+
+/**
+ * Return copies of `rows` with `duplicate_flag` ("Possible duplicate" or "")
+ * and `duplicate_of` (ids of the other rows in the group, comma-separated)
+ * set. Earlier flags are recomputed; with an index only the rows changed
+ * since its last call are compared again.
+ *
+ * @param {Object[]}      rows
+ * @param {DuplicateRule} rule
+ * @param {Object}        [index] — from createDuplicateIndex
+ * @returns {Object[]}
+ */
+function markDuplicates(rows, rule, index) {
+  var marks  = {};
+  var groups = findDuplicateGroups(rows, rule, index);
+  groups.forEach(function (group) {
+    var ids = group.rows.map(function (r) { return r.id; });
+    group.rows.forEach(function (r) {
+      marks[r.id] = {
+        of:      ids.filter(function (id) { return id !== r.id; }).join(", "),
+        reasons: group.reasons.join(", "),
+      };
+    });
+  });
+
+  return rows.map(function (r) {
+    var mark = marks[r.id];
+    return Object.assign({}, r, {
+      duplicate_flag:    mark ? DUPLICATE_FLAG : "",
+      duplicate_of:      mark ? mark.of : "",
+      duplicate_reasons: mark ? mark.reasons : "",
+    });
+  });
+}
+
+/**
+ * Badge for the `duplicate_flag` cell.
+ *
+ * @param {Object} row — row passed through markDuplicates
+ * @returns {HTMLSpanElement}
+ */
+function buildDuplicateBadge(row) {
+  var badge = document.createElement("span");
+  badge.className   = "badge badge-duplicate";
+  badge.textContent = "Duplicate?";
+  badge.title       = "Possible duplicate of ID " + row.duplicate_of +
+                      " (" + row.duplicate_reasons + ")";
+  return badge;
+}
+
+/** @type {CellRenderer} — cell type "duplicate" (`duplicate_flag`) */
+function duplicateCell(td, value, row) {
+  if (value !== "") td.appendChild(buildDuplicateBadge(row));
+}
+
+registerCellType("duplicate", { render: duplicateCell });
+
+// ── Report ────────────────────────────────────────────────────────────────────
+
+/** @type {ColumnDef[]} */
+var DUPLICATE_REPORT_COLUMNS = [
+  { key: "group",      label: "Group" },
+  { key: "matched_on", label: "Matched On" },
+  { key: "id",         label: "ID" },
+  { key: "created_at", label: "Submitted At" },
+  { key: "email",      label: "Email", sensitivity: "contact" },
+  { key: "name",       label: "Name" },
+  { key: "title",      label: "Title", wrap: true },
+];
+
+// First person actually filled in on a row (thematic sessions have up to three)
+function firstPersonKeys(row, rule) {
+  for (var i = 0; i < rule.people.length; i++) {
+    var keys = rule.people[i];
+    if (row[keys.email] || row[keys.first] || row[keys.last]) return keys;
+  }
+  return rule.people[0];
+}
+
+/**
+ * One report row per suspected duplicate, grouped and numbered. For rows
+ * with several people (thematic sessions) the first one is listed.
+ *
+ * @param {Object[]}      rows
+ * @param {DuplicateRule} rule
+ * @returns {Object[]}
+ */
+function duplicateReportRows(rows, rule) {
+  var report = [];
+  findDuplicateGroups(rows, rule).forEach(function (group, g) {
+    group.rows.forEach(function (r) {
+      var keys = firstPersonKeys(r, rule);
+      report.push({
+        group:      g + 1,
+        matched_on: group.reasons.join(", "),
+        id:         r.id,
+        created_at: r.created_at || "",
+        email:      r[keys.email] || "",
+        name:       [r[keys.first], r[keys.last]].filter(Boolean).join(" "),
+        title:      rule.title ? r[rule.title] || "" : "",
+      });
+    });
+  });
+  return report;
+}
+
+/**
+ * Download the duplicate report as `<filePrefix>_duplicates_<timestamp>.xlsx`.
+ *
+ * @param {Object[]}      rows
+ * @param {DuplicateRule} rule
+ * @param {string}        filePrefix
+ * @returns {number} number of duplicate groups (nothing is downloaded for 0)
+ */
+function downloadDuplicateReport(rows, rule, filePrefix) {
+  var report = duplicateReportRows(rows, rule);
+  if (report.length === 0) return 0;
+
+  var timestamp = fileTimestamp();
+  downloadTable(report, DUPLICATE_REPORT_COLUMNS.filter(function (c) {
+    return c.key !== "title" || rule.title;
+  }), {
+    format:    "xlsx",
+    fileBase:  filePrefix + "_duplicates_" + timestamp,
+    sheetName: "Duplicates",
+  });
+
+  return report[report.length - 1].group;
+}
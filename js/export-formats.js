@@ -0,0 +1,157 @@
+// ---------------------------------------------------------------------------
+// export-formats.js — Write a table export as XLSX, ODS, CSV or JSON
+//
+// Shared by both pages. Every format takes the same ColumnDef list (already
+// excelColumns-filtered), so the column selection and the role's redaction
+// are identical whichever format is picked:
+//
+//   xlsx — Excel workbook
+//   ods  — OpenDocument spreadsheet (LibreOffice)
+//   csv  — UTF-8 with a byte-order mark, so Excel keeps Greek text intact
+//   json — array of objects keyed by column key; callers can reshape each
+//          record (the sessions page nests the organizers again)
+//
+// Depends on:
+//   - SheetJS (XLSX global, CDN)
+//   - redaction.js (redactColumns, redactValue)
+//   - cell-types.js (cellExportValue — each column's cell type decides the
+//     exported value, e.g. "Yes" / "No" for booleans)
+// ---------------------------------------------------------------------------
+
+/** Values of the #exportFormat select; also the file extensions. */
+var EXPORT_FORMATS = ["xlsx", "ods", "csv", "json"];
+
+// ── Sheets ────────────────────────────────────────────────────────────────────
+
+/**
+ * Build a SheetJS worksheet from an array of transformed rows and a column list.
+ *
+ * @param {Object[]}    rows — transformed rows
+ * @param {ColumnDef[]} cols — columns to include (already excelColumns-filtered);
+ *                             redacted here for the user's role
+ * @returns {Object} SheetJS worksheet
+ */
+function buildSheet(rows, cols) {
+  cols = redactColumns(cols);
+
+  // Header row
+  var header = cols.map(function (c) { return c.label; });
+
+  // Data rows
+  var wsData = [header];
+  for (var r = 0; r < rows.length; r++) {
+    var row     = rows[r];
+    var dataRow = [];
+    for (var c = 0; c < cols.length; c++) {
+      var v = row[cols[c].key];
+      dataRow.push(v != null ? cellExportValue(cols[c], redactValue(cols[c], v), row) : "");
+    }
+    wsData.push(dataRow);
+  }
+
+  var ws = XLSX.utils.aoa_to_sheet(wsData);
+
+  // Auto-size columns (rough heuristic)
+  var colWidths = [];
+  for (var i = 0; i < cols.length; i++) {
+    var col    = cols[i];
+    var maxLen = col.label.length;
+    for (var j = 0; j < rows.length; j++) {
+      var cell = String(rows[j][col.key] != null ? rows[j][col.key] : "");
+      var cap  = col.wrap ? 60 : 40;
+      var len  = cell.length < cap ? cell.length : cap;
+      if (len > maxLen) maxLen = len;
+    }
+    colWidths.push({ wch: maxLen + 2 });
+  }
+  ws["!cols"] = colWidths;
+
+  return ws;
+}
+
+/**
+ * Rows as plain objects keyed by column key, redacted for the user's role.
+ *
+ * @param {Object[]}    rows
+ * @param {ColumnDef[]} cols
+ * @returns {Object[]}
+ */
+function exportRecords(rows, cols) {
+  cols = redactColumns(cols);
+  return rows.map(function (row) {
+    var record = {};
+    cols.forEach(function (c) {
+      record[c.key] = row[c.key] != null ? cellExportValue(c, redactValue(c, row[c.key]), row) : "";
+    });
+    return record;
+  });
+}
+
+// ── Download ──────────────────────────────────────────────────────────────────
+
+/**
+ * Current time for export file names, e.g. "2026-03-14T09-30-00" (UTC).
+ *
+ * @returns {string}
+ */
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+}
+
+/**
+ * Trigger a browser download of `blob` as `filename`.
+ *
+ * @param {Blob}   blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+  var url = URL.createObjectURL(blob);
+  var a   = document.createElement("a");
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download rows in one of EXPORT_FORMATS as `<fileBase>.<format>`.
+ *
+ * @param {Object[]}    rows
+ * @param {ColumnDef[]} cols — already excelColumns-filtered
+ * @param {Object}      options
+ * @param {string}      options.format      — one of EXPORT_FORMATS
+ * @param {string}      options.fileBase    — file name without extension
+ * @param {string}      options.sheetName   — sheet name in XLSX / ODS
+ * @param {{name: string, sheet: Object}[]} [options.extraSheets] — more
+ *                       worksheets, XLSX / ODS only (CSV and JSON hold one table)
+ * @param {function(Object): Object} [options.jsonRecord] — reshape each JSON record
+ * @returns {string} the file name written
+ */
+function downloadTable(rows, cols, options) {
+  var format   = EXPORT_FORMATS.indexOf(options.format) !== -1 ? options.format : "xlsx";
+  var filename = options.fileBase + "." + format;
+
+  if (format === "json") {
+    var records = exportRecords(rows, cols);
+    if (options.jsonRecord) records = records.map(options.jsonRecord);
+    downloadBlob(new Blob([JSON.stringify(records, null, 2)], { type: "application/json" }), filename);
+    return filename;
+  }
+
+  var ws = buildSheet(rows, cols);
+  if (format === "csv") {
+    var csv = "\uFEFF" + XLSX.utils.sheet_to_csv(ws);
+    downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), filename);
+    return filename;
+  }
+
+  var wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, options.sheetName);
+  (options.extraSheets || []).forEach(function (extra) {
+    XLSX.utils.book_append_sheet(wb, extra.sheet, extra.name);
+  });
+  XLSX.writeFile(wb, filename, { bookType: format });
+  return filename;
+}
@@ -0,0 +1,301 @@
+// ---------------------------------------------------------------------------
+// gdpr-export.js — Consent-aware exports for the registrations page
+//
+//   • GDPR mode      — Excel, duplicates report and archive exports can keep
+//                      everyone, drop people without GDPR consent, or
+//                      anonymise them (see applyGdprPolicy)
+//   • mailing list   — registrants who opted in to mailings: name, email,
+//                      affiliation
+//   • data subject   — everything stored about one email address, across
+//                      every table, in a single workbook (access requests)
+//
+// Consent lives on registrations only; abstracts, receipts and reconciliation
+// rows take the consent of the registration with the same normalised email.
+// Someone with no registration has no consent on record.
+//
+// Depends on: text-utils.js (normaliseEmail),
+//             export-formats.js (buildSheet, fileTimestamp),
+//             zip-export.js (safeEmail),
+//             payment-review.js (PAYMENT_AUDIT_TABLE), abstract-review.js
+//             (REVIEWERS_TABLE, ABSTRACT_REVIEWS_TABLE),
+//             session-matcher.js (SESSION_LINKS_TABLE), config.js (CONFIG),
+//             supabase-client.js (supabaseClient)
+// ---------------------------------------------------------------------------
+
+/** Values of the #gdprMode select. */
+var GDPR_MODES = ["all", "drop", "anonymise"];
+
+// Blanked by "anonymise"; the email is replaced by a pseudonym instead, so
+// the same person still lines up across sheets. Uploaded files go too, and
+// so does free text that names or describes the person: an abstract's
+// title, text and co-author list (and with them its Authors sheet rows),
+// the reconciliation details.
+var GDPR_IDENTIFYING_KEYS = [
+  "first_name", "last_name", "name", "affiliation", "country", "notes", "has_file", "_file_path",
+  "title", "co_authors", "abstract_text", "details",
+];
+
+// ── GDPR mode ─────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} GdprPolicy
+ * @property {string}                  mode       — one of GDPR_MODES
+ * @property {Object<string, boolean>} consent    — normalised emails with GDPR consent
+ * @property {Object<string, string>}  pseudonyms — normalised email → "anonymised-N"
+ * @property {number}                  next       — next pseudonym number
+ */
+
+/**
+ * Policy for one export. Use the same policy for every table of the export
+ * so pseudonyms match between sheets.
+ *
+ * @param {Object[]} registrations — all transformed registrations (not only filtered ones)
+ * @param {string}   mode          — one of GDPR_MODES
+ * @returns {GdprPolicy}
+ */
+function gdprPolicy(registrations, mode) {
+  var consent = {};
+  for (var i = 0; i < registrations.length; i++) {
+    if (registrations[i].gdpr_consent === "Yes") consent[normaliseEmail(registrations[i].email)] = true;
+  }
+  return {
+    mode:       GDPR_MODES.indexOf(mode) !== -1 ? mode : "all",
+    consent:    consent,
+    pseudonyms: {},
+    next:       1,
+  };
+}
+
+/**
+ * @param {Object}     row — any row with an `email`
+ * @param {GdprPolicy} policy
+ * @returns {boolean}
+ */
+function hasGdprConsent(row, policy) {
+  var email = normaliseEmail(row.email);
+  return !!email && !!policy.consent[email];
+}
+
+function anonymiseRow(row, policy) {
+  var copy = Object.assign({}, row);
+  GDPR_IDENTIFYING_KEYS.forEach(function (key) {
+    if (key in copy) copy[key] = "";
+  });
+
+  var email = normaliseEmail(row.email);
+  if (email && !policy.pseudonyms[email]) policy.pseudonyms[email] = "anonymised-" + policy.next++;
+  copy.email = email ? policy.pseudonyms[email] : "";
+  return copy;
+}
+
+/**
+ * Apply the policy's mode to rows about to be exported.
+ *
+ * @param {Object[]}   rows
+ * @param {GdprPolicy} policy
+ * @returns {Object[]} the same rows ("all"), the consenting ones ("drop"), or
+ *          copies with everyone else anonymised ("anonymise")
+ */
+function applyGdprPolicy(rows, policy) {
+  if (policy.mode === "drop") {
+    return rows.filter(function (r) { return hasGdprConsent(r, policy); });
+  }
+  if (policy.mode === "anonymise") {
+    return rows.map(function (r) { return hasGdprConsent(r, policy) ? r : anonymiseRow(r, policy); });
+  }
+  return rows;
+}
+
+/**
+ * Suffix for status messages, e.g. " (people without GDPR consent dropped)".
+ *
+ * @param {string} mode
+ * @returns {string}
+ */
+function gdprModeNote(mode) {
+  if (mode === "drop")      return " (people without GDPR consent dropped)";
+  if (mode === "anonymise") return " (people without GDPR consent anonymised)";
+  return "";
+}
+
+// ── Mailing list ──────────────────────────────────────────────────────────────
+
+/** @type {ColumnDef[]} */
+var MAILING_LIST_COLUMNS = [
+  { key: "first_name",  label: "First Name" },
+  { key: "last_name",   label: "Last Name" },
+  { key: "email",       label: "Email" },
+  { key: "affiliation", label: "Affiliation", wrap: true },
+];
+
+/**
+ * Registrants who consented to mailings, one row per email address.
+ *
+ * @param {Object[]} registrations — transformed registrations
+ * @returns {Object[]}
+ */
+function mailingListRows(registrations) {
+  var seen = {};
+  var rows = [];
+  for (var i = 0; i < registrations.length; i++) {
+    var r     = registrations[i];
+    var email = normaliseEmail(r.email);
+    if (r.mailing_consent !== "Yes" || !email || seen[email]) continue;
+    seen[email] = true;
+    rows.push({
+      first_name:  r.first_name,
+      last_name:   r.last_name,
+      email:       String(r.email).trim(),
+      affiliation: r.affiliation,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Download the mailing list as `mailing_list_<timestamp>.xlsx`.
+ *
+ * @param {Object[]} registrations
+ * @returns {number} number of addresses (nothing is downloaded for 0)
+ */
+function downloadMailingList(registrations) {
+  var rows = mailingListRows(registrations);
+  if (rows.length === 0) return 0;
+
+  var wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, buildSheet(rows, MAILING_LIST_COLUMNS), "Mailing List");
+
+  var timestamp = fileTimestamp();
+  XLSX.writeFile(wb, "mailing_list_" + timestamp + ".xlsx");
+  return rows.length;
+}
+
+// ── Data-subject export ───────────────────────────────────────────────────────
+
+var ORGANIZER_BLOB_COLUMNS = ["organizer_primary", "organizer_secondary", "organizer_tertiary"];
+
+// Organizer blobs are JSON columns, sometimes stored as a JSON string
+function organizerEmail(blob) {
+  if (typeof blob === "string") {
+    try { blob = JSON.parse(blob); } catch (_e) { return ""; }
+  }
+  return blob && blob.email ? blob.email : "";
+}
+
+/**
+ * Every table that can hold data about a person, with how to find their rows:
+ * `filters` are PostgREST columns matched with ilike, `emails` lists the
+ * addresses on a fetched row.
+ */
+function dataSubjectSources() {
+  return [
+    { table: "registrations",    sheet: "Registrations" },
+    { table: "abstracts",        sheet: "Abstracts" },
+    { table: "payment_receipts", sheet: "Payment Receipts" },
+    {
+      table:   PAYMENT_AUDIT_TABLE,
+      sheet:   "Payment Audit Log",
+      filters: ["email", "changed_by"],
+      emails:  function (row) { return [row.email, row.changed_by]; },
+    },
+    {
+      table:   SESSION_LINKS_TABLE,
+      sheet:   "Abstract Links Decided",
+      filters: ["decided_by"],
+      emails:  function (row) { return [row.decided_by]; },
+    },
+    { table: REVIEWERS_TABLE,    sheet: "Reviewer" },
+    {
+      table:   ABSTRACT_REVIEWS_TABLE,
+      sheet:   "Reviews Written",
+      filters: ["reviewer_email"],
+      emails:  function (row) { return [row.reviewer_email]; },
+    },
+    {
+      table:   CONFIG.TABLE_NAME,
+      sheet:   "Thematic Sessions",
+      filters: ORGANIZER_BLOB_COLUMNS.map(function (f) { return f + "->>email"; }),
+      emails:  function (row) {
+        return ORGANIZER_BLOB_COLUMNS.map(function (f) { return organizerEmail(row[f]); });
+      },
+    },
+  ];
+}
+
+/**
+ * Rows of one table that mention `email`. ilike makes the lookup
+ * case-insensitive; it also treats "_" as a wildcard, so the rows are
+ * checked again for an exact match.
+ */
+async function fetchSubjectRows(source, email) {
+  var filters = source.filters || ["email"];
+  var query   = supabaseClient.from(source.table).select("*");
+  query = filters.length === 1
+    ? query.ilike(filters[0], email)
+    : query.or(filters.map(function (f) { return f + ".ilike.\"" + email + "\""; }).join(","));
+
+  var result = await query;
+  if (result.error) throw result.error;
+
+  var emailsOf = source.emails || function (row) { return [row.email]; };
+  return (result.data || []).filter(function (row) {
+    return emailsOf(row).some(function (e) { return normaliseEmail(e) === email; });
+  });
+}
+
+// Raw rows as sheet rows: nested JSON (organizer blobs) as text
+function rawSheetRows(rows) {
+  return rows.map(function (row) {
+    var out = {};
+    Object.keys(row).forEach(function (key) {
+      var v = row[key];
+      out[key] = v != null && typeof v === "object" ? JSON.stringify(v) : v;
+    });
+    return out;
+  });
+}
+
+/**
+ * Download everything stored about one email address as
+ * `data_subject_<email>_<timestamp>.xlsx`: a Summary sheet, then one sheet
+ * of raw rows (all stored columns) per table that has any. Uploaded files
+ * are listed by their storage path.
+ *
+ * @param {string}   email
+ * @param {function} [onStatus] — callback(string) for progress messages
+ * @returns {Promise<number>} total rows found (nothing is downloaded for 0)
+ */
+async function downloadDataSubjectExport(email, onStatus) {
+  var key     = normaliseEmail(email);
+  var sources = dataSubjectSources();
+  var found   = [];
+  var total   = 0;
+
+  for (var i = 0; i < sources.length; i++) {
+    if (onStatus) onStatus("Searching " + sources[i].sheet.toLowerCase() + " for " + key + "…");
+    var rows = await fetchSubjectRows(sources[i], key);
+    found.push(rows);
+    total += rows.length;
+  }
+  if (total === 0) return 0;
+
+  var summary = [
+    { item: "Email",       value: key },
+    { item: "Exported at", value: new Date().toISOString() },
+  ].concat(sources.map(function (s, n) {
+    return { item: s.sheet + " (" + s.table + ")", value: found[n].length + " row(s)" };
+  }));
+
+  var wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, buildSheet(summary, [
+    { key: "item",  label: "Item" },
+    { key: "value", label: "Value" },
+  ]), "Summary");
+  sources.forEach(function (s, n) {
+    if (found[n].length) XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rawSheetRows(found[n])), s.sheet);
+  });
+
+  var timestamp = fileTimestamp();
+  XLSX.writeFile(wb, "data_subject_" + safeEmail(key) + "_" + timestamp + ".xlsx");
+  return total;
+}
@@ -0,0 +1,189 @@
+// ---------------------------------------------------------------------------
+// offline-cache.js — Keep the last successful sync of each table in IndexedDB
+//
+// The pages render the cached rows on load, so browsing, searching and
+// exporting keep working on a flaky connection; every successful sync
+// overwrites the entry. The cache is best-effort: any IndexedDB failure is
+// logged and treated as "nothing cached".
+//
+// Entries are keyed by Supabase table name:
+//   { table, rows, syncedAt (ISO string), watermark (for incremental sync),
+//     userId (who synced them) }
+// Rows are what RLS showed the user who synced them, so another user never
+// gets them: loadCachedTable() skips entries of anyone but the signed-in
+// user, and the page drops them at sign-in (dropCachedTablesExcept).
+//
+// Until Supabase Auth has answered (or when its library did not even load)
+// nobody is signed in yet; the cache then belongs to whoever saved it last,
+// remembered in localStorage (offlineCacheUser), and the page clears it again
+// if the session turns out to be someone else's or nobody's.
+//
+// Depends on: auth.js (currentUser)
+// ---------------------------------------------------------------------------
+
+var CACHE_DB_NAME    = "conference-export-cache";
+var CACHE_DB_VERSION = 1;
+var CACHE_STORE      = "tables";
+
+// localStorage key of the user whose entries are cached
+var CACHE_OWNER_KEY  = "conference-export-cache-owner";
+
+var cacheDbPromise = null;
+
+/**
+ * Open (and on first use create) the cache database.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openCacheDb() {
+  if (cacheDbPromise) return cacheDbPromise;
+
+  cacheDbPromise = new Promise(function (resolve) {
+    if (!window.indexedDB) {
+      resolve(null);
+      return;
+    }
+
+    var request = window.indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+
+    request.onupgradeneeded = function () {
+      var db = request.result;
+      if (!db.objectStoreNames.contains(CACHE_STORE)) {
+        db.createObjectStore(CACHE_STORE, { keyPath: "table" });
+      }
+    };
+    request.onsuccess = function () { resolve(request.result); };
+    request.onerror   = function () {
+      console.warn("[offline-cache] Could not open IndexedDB:", request.error);
+      resolve(null);
+    };
+  });
+
+  return cacheDbPromise;
+}
+
+/**
+ * Run one request against the cache store and resolve with its result
+ * (or null on any failure).
+ *
+ * @param {string}   mode     — "readonly" | "readwrite"
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @returns {Promise<*>}
+ */
+async function withCacheStore(mode, makeRequest) {
+  var db = await openCacheDb();
+  if (!db) return null;
+
+  return new Promise(function (resolve) {
+    try {
+      var tx      = db.transaction(CACHE_STORE, mode);
+      var request = makeRequest(tx.objectStore(CACHE_STORE));
+      tx.oncomplete = function () { resolve(request.result != null ? request.result : null); };
+      tx.onerror    = function () {
+        console.warn("[offline-cache] " + mode + " failed:", tx.error);
+        resolve(null);
+      };
+      // Aborts come without an error event too (e.g. the db closed for
+      // another tab's version change)
+      tx.onabort    = function () { resolve(null); };
+    } catch (err) {
+      console.warn("[offline-cache] " + mode + " failed:", err);
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * The user who saved the cache last: { id, email, app_metadata: { role } },
+ * or null if nobody did or they signed out since.
+ *
+ * @returns {?Object}
+ */
+function offlineCacheUser() {
+  try {
+    return JSON.parse(window.localStorage.getItem(CACHE_OWNER_KEY));
+  } catch (_e) {
+    return null;
+  }
+}
+
+function rememberCacheUser(user) {
+  try {
+    window.localStorage.setItem(CACHE_OWNER_KEY, JSON.stringify({
+      id:           user.id,
+      email:        user.email,
+      app_metadata: { role: user.app_metadata ? user.app_metadata.role : null },
+    }));
+  } catch (_e) { /* best-effort, like the cache itself */ }
+}
+
+/** Stop showing the cache to anyone before they sign in (on sign-out). */
+function forgetCacheUser() {
+  try {
+    window.localStorage.removeItem(CACHE_OWNER_KEY);
+  } catch (_e) { /* ignore */ }
+}
+
+// The signed-in user; before sign-in, whoever saved the cache last
+function cacheUserId() {
+  var user = currentUser() || offlineCacheUser();
+  return user ? user.id : null;
+}
+
+/**
+ * @param {string} table — Supabase table name
+ * @returns {Promise<{table: string, rows: Object[], syncedAt: string, watermark: ?string}|null>}
+ *          null as well when the entry was synced by another user than the
+ *          signed-in one (before sign-in: the offlineCacheUser)
+ */
+async function loadCachedTable(table) {
+  var userId = cacheUserId();
+  var entry  = await withCacheStore("readonly", function (store) {
+    return store.get(table);
+  });
+  return entry && userId && entry.userId === userId ? entry : null;
+}
+
+/**
+ * Replace the cached copy of a table.
+ *
+ * @param {string}   table     — Supabase table name
+ * @param {Object[]} rows      — transformed rows, as shown on screen
+ * @param {string}   syncedAt  — ISO timestamp of the sync
+ * @param {?string}  watermark — incremental-sync watermark for the table
+ * @returns {Promise<void>}
+ */
+async function saveCachedTable(table, rows, syncedAt, watermark) {
+  var user = currentUser();
+  if (!user) return;
+  rememberCacheUser(user);
+
+  await withCacheStore("readwrite", function (store) {
+    return store.put({
+      table:     table,
+      rows:      rows,
+      syncedAt:  syncedAt,
+      watermark: watermark || null,
+      userId:    user.id,
+    });
+  });
+}
+
+/**
+ * Delete the entries synced by anyone but `userId` (and those from before
+ * entries carried a user).
+ *
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+async function dropCachedTablesExcept(userId) {
+  await withCacheStore("readwrite", function (store) {
+    var request = store.openCursor();
+    request.onsuccess = function () {
+      var cursor = request.result;
+      if (!cursor) return;
+      if (cursor.value.userId !== userId) cursor.delete();
+      cursor.continue();
+    };
+    return request;
+  });
+}
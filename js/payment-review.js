@@ -0,0 +1,120 @@
+// ---------------------------------------------------------------------------
+// payment-review.js — Confirm / revoke registration payments from the UI
+//
+// Registrations are linked to their uploaded receipts by normalised email
+// (groupByEmail in text-utils.js).
+// Every change of `payment_confirmed` also writes a row to the audit table:
+//
+//   payment_audit_log (
+//     id, created_at default now(),
+//     registration_id, email, payment_confirmed boolean, note text, changed_by text
+//   )
+//
+// Who may change the flag is enforced by row-level security on both tables.
+//
+// Depends on: supabase-client.js (supabaseClient), auth.js (currentUser),
+//             cell-types.js (registerCellType, buildBadge, buildFileBadge)
+// ---------------------------------------------------------------------------
+
+var PAYMENT_AUDIT_TABLE = "payment_audit_log";
+
+/**
+ * Set `payment_confirmed` on one registration and record an audit note.
+ * If the audit row cannot be written the flag is put back, so no change
+ * ever goes unrecorded. Should putting it back fail too, the error says so
+ * and has `unrecorded` set: the new flag is stored without a note.
+ *
+ * @param {Object}  registration — transformed registration row, as it was
+ *                                before the change
+ * @param {boolean} confirmed
+ * @param {string}  note         — required audit note
+ * @returns {Promise<void>}
+ */
+async function setPaymentConfirmed(registration, confirmed, note) {
+  if (!note || !note.trim()) throw new Error("An audit note is required.");
+
+  var user   = currentUser();
+  var update = await supabaseClient
+    .from("registrations")
+    .update({ payment_confirmed: confirmed })
+    .eq("id", registration.id)
+    .select("id");
+
+  if (update.error) throw update.error;
+  if (!update.data || update.data.length === 0) {
+    throw new Error("Registration was not updated — check your permissions.");
+  }
+
+  var audit = await supabaseClient
+    .from(PAYMENT_AUDIT_TABLE)
+    .insert({
+      registration_id:   registration.id,
+      email:             registration.email,
+      payment_confirmed: confirmed,
+      note:              note.trim(),
+      changed_by:        user ? user.email : null,
+    });
+
+  if (audit.error) {
+    var previous = registration.payment_confirmed === "Yes" ? true
+                 : registration.payment_confirmed === "No"  ? false
+                 : null;
+    var revert;
+    try {
+      revert = await supabaseClient
+        .from("registrations")
+        .update({ payment_confirmed: previous })
+        .eq("id", registration.id)
+        .select("id");
+    } catch (err) {
+      revert = { error: err };
+    }
+
+    if (revert.error || !revert.data || revert.data.length === 0) {
+      var stuck = new Error("Could not write the audit note (" + audit.error.message +
+        ") and could not revert the change — the payment stays " + (confirmed ? "confirmed" : "revoked") +
+        " with no audit note; fix it manually.");
+      stuck.unrecorded = true;
+      throw stuck;
+    }
+    throw new Error("Could not write the audit note (" + audit.error.message + "); change reverted.");
+  }
+}
+
+// ── Table cell ────────────────────────────────────────────────────────────────
+
+/**
+ * Cell type "payment" (`payment_confirmed`): a badge coloured from the
+ * column's `badges`, plus the receipt links and a confirm / revoke button
+ * when the page passes
+ * `payments: { receiptsFor(row) → payment rows, onToggle(row) }`.
+ *
+ * @type {CellRenderer}
+ */
+function paymentCell(td, value, row, col, options) {
+  if (value !== "") td.appendChild(buildBadge(value, col));
+
+  if (!options.payments) return;
+  var receipts = options.payments.receiptsFor(row);
+
+  if (receipts.length === 0) {
+    var none = document.createElement("span");
+    none.className   = "payment-no-receipt";
+    none.textContent = "no receipt";
+    td.appendChild(none);
+  }
+  for (var i = 0; i < receipts.length; i++) {
+    if (receipts[i]._file_path) {
+      td.appendChild(buildFileBadge(receipts[i].has_file, "payment-receipts", receipts[i]._file_path));
+    }
+  }
+
+  var btn = document.createElement("button");
+  btn.type        = "button";
+  btn.className   = "payment-toggle";
+  btn.textContent = row.payment_confirmed === "Yes" ? "Revoke" : "Confirm";
+  btn.addEventListener("click", function () { options.payments.onToggle(row); });
+  td.appendChild(btn);
+}
+
+registerCellType("payment", { render: paymentCell });
@@ -0,0 +1,254 @@
+// ---------------------------------------------------------------------------
+// program-book.js — Print-ready book of abstracts as a standalone HTML file
+//
+// Abstracts are grouped by the thematic session they are linked to, as on
+// the sessions page (session-matcher.js): small spelling differences still
+// land in the right session, and confirmed / rejected links are respected.
+// Abstracts naming no known session keep their own heading, after the known
+// sessions; abstracts with no session at all (or only a rejected one) come
+// last. Each abstract gets a number (session.n),
+// its title, authors with numbered affiliations and the abstract text;
+// the book opens with a table of contents and ends with an author index.
+//
+// The file carries its own print stylesheet (A4, one session per page), so
+// it prints cleanly to PDF from any browser. What goes in follows the
+// user's role: affiliations are left out unless the role may see them.
+//
+// Depends on: author-parser.js (authorRows), text-utils.js (foldForMatch),
+//             session-matcher.js (linkAbstractsToSessions),
+//             redaction.js (sensitivityAccess),
+//             export-formats.js (downloadBlob, fileTimestamp)
+// ---------------------------------------------------------------------------
+
+var PROGRAM_BOOK_TITLE = "Book of Abstracts";
+
+var UNASSIGNED_SESSION = "Other abstracts";
+
+var PROGRAM_BOOK_CSS = [
+  "@page { size: A4; margin: 20mm 18mm; }",
+  "body { font-family: Georgia, 'Times New Roman', serif; font-size: 11pt; line-height: 1.45;",
+  "       color: #000; max-width: 174mm; margin: 2em auto; padding: 0 1em; }",
+  "h1 { font-size: 24pt; margin: 30vh 0 0.3em; text-align: center; }",
+  "h2 { font-size: 16pt; border-bottom: 1px solid #000; padding-bottom: 0.2em; }",
+  "h3 { font-size: 12pt; margin: 0 0 0.3em; }",
+  "a { color: inherit; text-decoration: none; }",
+  ".cover { text-align: center; }",
+  ".cover p { color: #444; }",
+  ".toc, .session, .author-index { break-before: page; }",
+  ".toc ol { list-style: none; padding-left: 0; }",
+  ".toc ol ol { padding-left: 1.5em; margin-bottom: 0.6em; }",
+  ".toc .authors { color: #444; font-style: italic; }",
+  ".num { font-variant-numeric: tabular-nums; margin-right: 0.4em; }",
+  ".abstract { margin: 0 0 1.8em; break-inside: avoid; }",
+  ".abstract .authors { margin: 0 0 0.2em; }",
+  ".affiliations { font-size: 9.5pt; color: #333; margin: 0 0 0.6em; padding-left: 1.2em; }",
+  ".abstract .text p { margin: 0 0 0.5em; text-align: justify; }",
+  ".author-index ul { list-style: none; padding-left: 0; columns: 2; font-size: 10pt; }",
+  ".author-index li { break-inside: avoid; }",
+].join("\n");
+
+// ── Grouping ──────────────────────────────────────────────────────────────────
+
+function escapeHtml(text) {
+  return String(text != null ? text : "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Abstracts grouped by session, in the order of the thematic sessions;
+ * abstracts within a session by title.
+ *
+ * @param {Object[]} abstracts — transformed abstract rows
+ * @param {Object[]} sessions  — transformed thematic session rows
+ * @param {Object[]} decisions — abstract_session_links rows
+ * @returns {{title: string, abstracts: Object[]}[]} non-empty groups
+ */
+function groupAbstractsBySession(abstracts, sessions, decisions) {
+  var links  = linkAbstractsToSessions(abstracts, sessions, decisions);
+  var groups = sessions.map(function (s) {
+    return {
+      title:     String(s.session_title || "").trim() || "Session " + s.id,
+      abstracts: links.bySession[s.id].map(function (l) { return l.abstract; }),
+    };
+  });
+
+  // Unlinked abstracts are headed by the session they name, unless that is
+  // a known title (its link was rejected)
+  var known = {};
+  sessions.forEach(function (s) { known[foldForMatch(s.session_title)] = true; });
+
+  var byKey      = {};
+  var unassigned = [];
+  links.unlinked.forEach(function (abs) {
+    var session = String(abs.session || "").trim();
+    var key     = foldForMatch(session);
+    if (!key || known[key]) {
+      unassigned.push(abs);
+      return;
+    }
+    if (!byKey[key]) {
+      byKey[key] = { title: session, abstracts: [] };
+      groups.push(byKey[key]);
+    }
+    byKey[key].abstracts.push(abs);
+  });
+  if (unassigned.length) groups.push({ title: UNASSIGNED_SESSION, abstracts: unassigned });
+
+  return groups
+    .filter(function (g) { return g.abstracts.length > 0; })
+    .map(function (g) {
+      g.abstracts.sort(function (a, b) { return String(a.title).localeCompare(String(b.title)); });
+      return g;
+    });
+}
+
+// ── Layout ────────────────────────────────────────────────────────────────────
+
+function isInitial(word) {
+  return /^\p{L}\.?(-\p{L}\.?)?$/u.test(word);
+}
+
+// Index key: surname first — the last word, or the first for "Smith J."
+function authorSortKey(name) {
+  var words   = String(name).trim().split(/\s+/);
+  var surname = isInitial(words[words.length - 1])
+    ? words.filter(function (w) { return !isInitial(w); })[0] || words[0]
+    : words[words.length - 1];
+  return foldForMatch(surname + " " + name);
+}
+
+// "Name¹, Name¹,²" plus the numbered affiliations they point to
+function authorBlock(authors, showAffiliations) {
+  var affiliations = [];
+  var names = authors.map(function (a) {
+    var marks = [];
+    if (showAffiliations && a.affiliation) {
+      String(a.affiliation).split(/\s*;\s*/).filter(Boolean).forEach(function (aff) {
+        var n = affiliations.indexOf(aff);
+        if (n === -1) n = affiliations.push(aff) - 1;
+        if (marks.indexOf(n + 1) === -1) marks.push(n + 1);
+      });
+    }
+    return escapeHtml(a.name) + (marks.length ? "<sup>" + marks.join(",") + "</sup>" : "");
+  });
+
+  var html = '<p class="authors">' + names.join(", ") + "</p>";
+  if (affiliations.length) {
+    html += '<ol class="affiliations">' + affiliations.map(function (aff) {
+      return "<li>" + escapeHtml(aff) + "</li>";
+    }).join("") + "</ol>";
+  }
+  return html;
+}
+
+// Blank lines start a new paragraph; single line breaks are kept
+function abstractTextHtml(text) {
+  return String(text || "").trim().split(/\n\s*\n/).filter(Boolean).map(function (para) {
+    return "<p>" + escapeHtml(para.trim()).replace(/\n/g, "<br>") + "</p>";
+  }).join("");
+}
+
+/**
+ * The book of abstracts as a complete HTML document.
+ *
+ * @param {Object[]} abstracts — transformed abstract rows
+ * @param {Object[]} sessions  — transformed thematic session rows (may be empty)
+ * @param {Object[]} decisions — abstract_session_links rows
+ * @returns {string}
+ */
+function buildProgramBook(abstracts, sessions, decisions) {
+  var groups           = groupAbstractsBySession(abstracts, sessions, decisions);
+  var showAffiliations = sensitivityAccess("personal") === "show";
+
+  var authorsById = {};
+  authorRows(abstracts).forEach(function (a) {
+    (authorsById[a.abstract_id] = authorsById[a.abstract_id] || []).push(a);
+  });
+
+  var toc   = [];
+  var body  = [];
+  var index = {};
+
+  groups.forEach(function (g, s) {
+    var sessionNo = s + 1;
+    var tocItems  = [];
+    body.push('<section class="session" id="s' + sessionNo + '">',
+      "<h2>" + sessionNo + ". " + escapeHtml(g.title) + "</h2>");
+
+    g.abstracts.forEach(function (abs, a) {
+      var number  = sessionNo + "." + (a + 1);
+      var anchor  = "a" + sessionNo + "-" + (a + 1);
+      var authors = authorsById[abs.id] || [];
+
+      authors.forEach(function (au) {
+        var key = foldForMatch(au.name);
+        if (!key) return;
+        index[key] = index[key] || { name: au.name, sortKey: authorSortKey(au.name), refs: [] };
+        index[key].refs.push('<a href="#' + anchor + '">' + number + "</a>");
+      });
+
+      tocItems.push('<li><a href="#' + anchor + '"><span class="num">' + number + "</span>" +
+        escapeHtml(abs.title) + "</a> <span class=\"authors\">" +
+        escapeHtml(authors.map(function (au) { return au.name; }).join(", ")) + "</span></li>");
+
+      body.push('<article class="abstract" id="' + anchor + '">',
+        '<h3><span class="num">' + number + "</span>" + escapeHtml(abs.title) + "</h3>",
+        authorBlock(authors, showAffiliations),
+        '<div class="text">' + abstractTextHtml(abs.abstract_text) + "</div>",
+        "</article>");
+    });
+
+    toc.push('<li><a href="#s' + sessionNo + '">' + sessionNo + ". " + escapeHtml(g.title) + "</a>" +
+      "<ol>" + tocItems.join("") + "</ol></li>");
+    body.push("</section>");
+  });
+
+  var indexItems = Object.keys(index)
+    .map(function (k) { return index[k]; })
+    .sort(function (a, b) { return a.sortKey.localeCompare(b.sortKey); })
+    .map(function (e) { return "<li>" + escapeHtml(e.name) + " — " + e.refs.join(", ") + "</li>"; });
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    "<title>" + escapeHtml(PROGRAM_BOOK_TITLE) + "</title>",
+    "<style>\n" + PROGRAM_BOOK_CSS + "\n</style>",
+    "</head>",
+    "<body>",
+    '<header class="cover">',
+    "<h1>" + escapeHtml(PROGRAM_BOOK_TITLE) + "</h1>",
+    "<p>" + abstracts.length + " abstracts in " + groups.length + " sessions · " +
+      escapeHtml(new Date().toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric" })) + "</p>",
+    "</header>",
+    '<nav class="toc"><h2>Contents</h2><ol>' + toc.join("") +
+      '<li><a href="#author-index">Author index</a></li></ol></nav>',
+    body.join("\n"),
+    '<section class="author-index" id="author-index"><h2>Author index</h2><ul>' +
+      indexItems.join("") + "</ul></section>",
+    "</body>",
+    "</html>",
+  ].join("\n");
+}
+
+/**
+ * Download the book of abstracts as `book_of_abstracts_<timestamp>.html`;
+ * open it in a browser and print to PDF.
+ *
+ * @param {Object[]} abstracts
+ * @param {Object[]} sessions
+ * @param {Object[]} decisions — abstract_session_links rows
+ * @returns {number} abstracts in the book (nothing is downloaded for 0)
+ */
+function downloadProgramBook(abstracts, sessions, decisions) {
+  if (!abstracts.length) return 0;
+
+  var html      = buildProgramBook(abstracts, sessions, decisions);
+  var timestamp = fileTimestamp();
+  downloadBlob(new Blob([html], { type: "text/html;charset=utf-8" }), "book_of_abstracts_" + timestamp + ".html");
+  return abstracts.length;
+}
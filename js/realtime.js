@@ -0,0 +1,101 @@
+// ---------------------------------------------------------------------------
+// realtime.js — Supabase Realtime subscriptions + in-place row patching
+//
+// subscribeToTable() forwards insert / update / delete events for one table;
+// the controllers run the new row through their usual transform and hand a
+// freshly built <tr> to patchLiveRow(), which swaps it into the rendered
+// table (matched by data-row-id) and briefly highlights it.
+//
+// The tables must be part of the `supabase_realtime` publication for events
+// to arrive.
+//
+// Depends on: supabase-client.js (supabaseClient)
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} LiveChange
+ * @property {"INSERT"|"UPDATE"|"DELETE"} type
+ * @property {Object|null} row — new raw row (null for deletes)
+ * @property {*}           id  — primary key of the affected row
+ */
+
+/** How long a patched row stays highlighted (ms); matches the CSS animation. */
+var LIVE_FLASH_MS = 2000;
+
+/**
+ * Subscribe to every change on `table`.
+ *
+ * @param {string}                 table
+ * @param {function(LiveChange)}   onChange
+ * @param {function(string)}       [onStatus] — Realtime channel status
+ *                                  ("SUBSCRIBED", "CHANNEL_ERROR", "TIMED_OUT", "CLOSED")
+ * @returns {function()} call to unsubscribe
+ */
+function subscribeToTable(table, onChange, onStatus) {
+  var channel = supabaseClient
+    .channel("live-" + table)
+    .on(
+      "postgres_changes",
+      { event: "*", schema: "public", table: table },
+      function (payload) {
+        var isDelete = payload.eventType === "DELETE";
+        var source   = isDelete ? payload.old : payload.new;
+        onChange({
+          type: payload.eventType,
+          row:  isDelete ? null : payload.new,
+          id:   source ? source.id : null,
+        });
+      }
+    )
+    .subscribe(function (status) {
+      if (onStatus) onStatus(status);
+    });
+
+  return function () {
+    supabaseClient.removeChannel(channel);
+  };
+}
+
+/**
+ * Replace, append or remove one rendered row without re-rendering the table.
+ *
+ *   newTr given, row on screen   → replaced in place
+ *   newTr given, row not shown   → appended to the end of the table
+ *   newTr null                   → removed (deleted, or filtered out)
+ *
+ * Appending keeps the unsorted order only; for a sorted table the caller
+ * re-renders instead.
+ *
+ * @param {*}                id     — row id (matched against tr[data-row-id])
+ * @param {HTMLElement|null} newTr
+ * @returns {boolean} false if there is no rendered table to patch (the caller
+ *                    should re-render instead)
+ */
+function patchLiveRow(id, newTr) {
+  var tbody = document.querySelector("#tableWrap tbody");
+  if (!tbody) return false;
+
+  var existing = null;
+  var rows = tbody.children;
+  for (var i = 0; i < rows.length; i++) {
+    if (rows[i].dataset.rowId === String(id)) {
+      existing = rows[i];
+      break;
+    }
+  }
+
+  if (!newTr) {
+    if (existing) tbody.removeChild(existing);
+    return true;
+  }
+
+  if (existing) {
+    tbody.replaceChild(newTr, existing);
+  } else {
+    tbody.appendChild(newTr);
+  }
+
+  newTr.classList.add("row-flash");
+  setTimeout(function () { newTr.classList.remove("row-flash"); }, LIVE_FLASH_MS);
+  return true;
+}
@@ -0,0 +1,128 @@
+// ---------------------------------------------------------------------------
+// reconciliation.js — Cross-check registrations, abstracts and payment receipts
+//
+// The three tables are joined on normalised email and every mismatch becomes
+// one report row:
+//
+//   abstract_unregistered — submitted an abstract, never registered
+//   intent_no_abstract    — registered with an abstract intent, no abstract
+//   no_receipt            — registered, no payment receipt uploaded
+//   unconfirmed           — registered, payment_confirmed not set to "Yes"
+//
+// Used by the Reconciliation tab and as extra sheets in the ZIP archive.
+//
+// Depends on: text-utils.js (groupByEmail)
+// ---------------------------------------------------------------------------
+
+/** Mismatch categories, in report order. */
+var RECONCILIATION_CATEGORIES = [
+  { key: "abstract_unregistered", label: "Abstract without registration" },
+  { key: "intent_no_abstract",    label: "Abstract intent, no abstract" },
+  { key: "no_receipt",            label: "Registered, no receipt" },
+  { key: "unconfirmed",           label: "Payment not confirmed" },
+];
+
+/** @type {ColumnDef[]} */
+var RECONCILIATION_COLUMNS = [
+  { key: "category", label: "Category", filter: "select" },
+  { key: "email",    label: "Email",    type: "email", sensitivity: "contact" },
+  { key: "name",     label: "Name" },
+  { key: "details",  label: "Details",  wrap: true },
+];
+
+/** @type {ColumnDef[]} */
+var RECONCILIATION_SUMMARY_COLUMNS = [
+  { key: "category", label: "Category" },
+  { key: "count",    label: "Count" },
+];
+
+// Answers to "abstract intent" that mean "no"
+var NO_INTENT_VALUES = ["", "no", "none", "false", "0", "n/a", "όχι"];
+
+/**
+ * @param {string} value — transformed abstract_intent
+ * @returns {boolean}
+ */
+function hasAbstractIntent(value) {
+  return NO_INTENT_VALUES.indexOf(String(value || "").trim().toLowerCase()) === -1;
+}
+
+function personName(row) {
+  return [row.first_name, row.last_name].filter(Boolean).join(" ");
+}
+
+/**
+ * Build the reconciliation report from the transformed rows of all three tables.
+ *
+ * @param {Object[]} registrations
+ * @param {Object[]} abstracts
+ * @param {Object[]} payments
+ * @returns {Object[]} report rows: { id, category, email, name, details }
+ */
+function buildReconciliation(registrations, abstracts, payments) {
+  var regsByEmail     = groupByEmail(registrations);
+  var absByEmail      = groupByEmail(abstracts);
+  var receiptsByEmail = groupByEmail(payments);
+
+  var byCategory = {};
+  RECONCILIATION_CATEGORIES.forEach(function (c) { byCategory[c.key] = []; });
+
+  function add(categoryKey, email, row, details) {
+    byCategory[categoryKey].push({
+      id:       categoryKey + ":" + email,
+      category: categoryLabel(categoryKey),
+      email:    row.email || email,
+      name:     personName(row),
+      details:  details,
+    });
+  }
+
+  Object.keys(absByEmail).forEach(function (email) {
+    if (regsByEmail[email]) return;
+    var abs = absByEmail[email];
+    add("abstract_unregistered", email, abs[0], abs.map(function (a) { return a.title; }).join("; "));
+  });
+
+  Object.keys(regsByEmail).forEach(function (email) {
+    var reg      = regsByEmail[email][0];
+    var receipts = receiptsByEmail[email] || [];
+
+    if (!absByEmail[email] && hasAbstractIntent(reg.abstract_intent)) {
+      add("intent_no_abstract", email, reg, "Intent: " + reg.abstract_intent);
+    }
+    if (receipts.length === 0) {
+      add("no_receipt", email, reg, reg.registration_type);
+    }
+    if (reg.payment_confirmed !== "Yes") {
+      add("unconfirmed", email, reg,
+        receipts.length ? receipts.length + " receipt(s) on file" : "No receipt on file");
+    }
+  });
+
+  var rows = [];
+  RECONCILIATION_CATEGORIES.forEach(function (c) { rows = rows.concat(byCategory[c.key]); });
+  return rows;
+}
+
+function categoryLabel(key) {
+  for (var i = 0; i < RECONCILIATION_CATEGORIES.length; i++) {
+    if (RECONCILIATION_CATEGORIES[i].key === key) return RECONCILIATION_CATEGORIES[i].label;
+  }
+  return key;
+}
+
+/**
+ * Count report rows per category, every category included (zero counts too).
+ *
+ * @param {Object[]} reportRows — from buildReconciliation
+ * @returns {{category: string, count: number}[]}
+ */
+function reconciliationSummary(reportRows) {
+  return RECONCILIATION_CATEGORIES.map(function (c) {
+    var count = 0;
+    for (var i = 0; i < reportRows.length; i++) {
+      if (reportRows[i].category === c.label) count++;
+    }
+    return { category: c.label, count: count };
+  });
+}
@@ -0,0 +1,112 @@
+// ---------------------------------------------------------------------------
+// redaction.js — Role-based hiding / masking of personal-data columns
+//
+// Columns carry a `sensitivity` level; the signed-in user's role decides, per
+// level, whether such columns are shown, masked ("j***@uoa.gr") or left out
+// entirely. Renderers, filters and every exporter go through
+// redactColumns() / redactValue(), so the table and the files always agree.
+//
+// The role comes from the user's `app_metadata.role` (set by an admin in
+// Supabase; users cannot change it themselves). Users without a known role
+// get the most restricted one. Row-level security still decides what the
+// database returns — this only limits what the pages show. Before sign-in,
+// the offline copy is shown with the role of the user who saved it.
+//
+// Depends on: auth.js (currentUser), offline-cache.js (offlineCacheUser)
+// ---------------------------------------------------------------------------
+
+/** Roles, least to most privileged. */
+var USER_ROLES = ["reviewer", "treasurer", "admin"];
+
+/**
+ * Access per role and sensitivity level: "show" | "mask" | "hide".
+ *
+ *   contact  — email addresses
+ *   personal — affiliation, country
+ *   consent  — mailing / GDPR consent answers
+ *   payment  — payment status, receipts and everything derived from them
+ *   review   — other reviewers' scores, aggregates and suggestions
+ */
+var REDACTION_POLICY = {
+  reviewer:  { contact: "mask", personal: "show", consent: "hide", payment: "hide", review: "hide" },
+  treasurer: { contact: "show", personal: "mask", consent: "hide", payment: "show", review: "hide" },
+  admin:     { contact: "show", personal: "show", consent: "show", payment: "show", review: "show" },
+};
+
+/** @returns {string} role of the signed-in user (one of USER_ROLES) */
+function currentRole() {
+  var user = currentUser() || offlineCacheUser();
+  var role = user && user.app_metadata ? user.app_metadata.role : null;
+  return USER_ROLES.indexOf(role) !== -1 ? role : USER_ROLES[0];
+}
+
+/**
+ * @param {string} [sensitivity] — a level from REDACTION_POLICY; none means public
+ * @param {string} [role=currentRole()]
+ * @returns {"show"|"mask"|"hide"}
+ */
+function sensitivityAccess(sensitivity, role) {
+  if (!sensitivity) return "show";
+  var policy = REDACTION_POLICY[role || currentRole()];
+  return policy[sensitivity] || "hide";
+}
+
+/**
+ * True if the role sees every sensitivity level unredacted, as needed for
+ * exports that must be complete (e.g. a data-subject export).
+ *
+ * @param {string} [role=currentRole()]
+ * @returns {boolean}
+ */
+function hasFullAccess(role) {
+  var policy = REDACTION_POLICY[role || currentRole()];
+  return Object.keys(policy).every(function (level) { return policy[level] === "show"; });
+}
+
+/**
+ * Columns the role may see: hidden ones are dropped, masked ones come back
+ * as copies with `masked: true` and no filter control (filtering on the real
+ * values would give them away). Safe to apply more than once.
+ *
+ * @param {ColumnDef[]} cols
+ * @param {string}      [role=currentRole()]
+ * @returns {ColumnDef[]}
+ */
+function redactColumns(cols, role) {
+  var out = [];
+  for (var i = 0; i < cols.length; i++) {
+    var access = sensitivityAccess(cols[i].sensitivity, role);
+    if (access === "hide") continue;
+    out.push(access === "mask"
+      ? Object.assign({}, cols[i], { masked: true, filter: false })
+      : cols[i]);
+  }
+  return out;
+}
+
+/**
+ * Keep the first character (and an email's domain), star out the rest:
+ * "john.doe@uoa.gr" → "j***@uoa.gr", "Greece" → "G***".
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function maskValue(value) {
+  var s = value != null ? String(value) : "";
+  if (s === "") return "";
+
+  var at = s.lastIndexOf("@");
+  if (at > 0) return s.charAt(0) + "***" + s.slice(at);
+  return s.charAt(0) + "***";
+}
+
+/**
+ * Value of one cell as the role may see it.
+ *
+ * @param {ColumnDef} col — a column from redactColumns()
+ * @param {*}         value
+ * @returns {*}
+ */
+function redactValue(col, value) {
+  return col.masked ? maskValue(value) : value;
+}
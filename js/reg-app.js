@@ -1,152 +1,406 @@
 // ---------------------------------------------------------------------------
-// reg-app.js — Controller for the abstracts page
+// reg-app.js — Registrations / abstracts / payments page
+//
+// The four tabs are datasets (datasets.js) on the shared controller
+// (dataset-app.js: sync, offline cache, live updates, filters, sorting,
+// export, duplicates report). This file adds payment review, abstract
+// review, the GDPR mode and exports, the book of abstracts and the archive.
 //
 // Depends on:
+//   dataset-app.js      (createDatasetPage)
+//   datasets.js         (DATASETS)
 //   config.js           (CONFIG)
-//   supabase-client.js  (supabaseClient)
-//   reg-columns.js      (ABSTRACT_COLUMNS, uiColumns, excelColumns)
-//   reg-transform.js    (transformAbstracts)
-//   reg-renderer.js     (renderRegTable)
+//   auth.js             (requireSignIn, handleAuthError, isAuthError, currentUser)
+//   redaction.js        (sensitivityAccess, hasFullAccess)
+//   data-fetch.js       (isFetchCancelled)
+//   offline-cache.js    (loadCachedTable, saveCachedTable)
+//   abstract-review.js  (ABSTRACT_REVIEWS_TABLE, REVIEWERS_TABLE, markReviews,
+//                        assignReviewers, saveReview, buildAssignForm,
+//                        buildReviewForm, reviewSummaryRows, reviewSummaryColumns)
+//   gdpr-export.js      (gdprPolicy, applyGdprPolicy, gdprModeNote,
+//                        downloadMailingList, downloadDataSubjectExport)
+//   payment-review.js   (setPaymentConfirmed)
+//   text-utils.js       (normaliseEmail, groupByEmail)
+//   export-formats.js   (buildSheet)
+//   zip-export.js       (downloadZip)
+//   program-book.js     (downloadProgramBook)
+//   session-matcher.js  (SESSION_LINKS_TABLE)
+//   data-table.js       (openSidebarContent, closeSidebar)
 // ---------------------------------------------------------------------------
 
 (function () {
 
-  var abstracts = [];
+  // abstract_reviews rows (only the user's own unless RLS shows more) and,
+  // for roles that assign, the reviewers
+  var reviewData = { reviews: [], reviewers: [] };
+
+  var page = createDatasetPage({
+    datasets:     ["registrations", "abstracts", "payments", "reconciliation"],
+    counts: {
+      registrations:  "regCount",
+      abstracts:      "absCount",
+      payments:       "payCount",
+      reconciliation: "recCount",
+    },
+    signedInText: "registrations, abstracts and payments",
+    related: {
+      fetch:       fetchReviewData,
+      apply:       function (data) { reviewData = data; },
+      save:        saveReviewCache,
+      loadCached:  loadCachedReviews,
+      clear:       function () { reviewData = { reviews: [], reviewers: [] }; },
+      failureText: "Reviews could not be loaded — review columns may be out of date.",
+    },
+    markRows: function (key, rows) {
+      return key === "abstracts" ? markReviews(rows, reviewData.reviews) : rows;
+    },
+    tableOptions: tableOptions,
+    exportRows: function (rows) {
+      return applyGdprPolicy(rows, gdprPolicy(page.rows("registrations"), gdprMode()));
+    },
+    exportSheets: function (key, rows) {
+      if (key !== "abstracts" || !canManageReviews() || !reviewData.reviews.length) return [];
+      return [{
+        name:  "Review Summary",
+        sheet: buildSheet(reviewSummaryRows(rows, reviewData.reviews), reviewSummaryColumns()),
+      }];
+    },
+    exportNote: function () { return gdprModeNote(gdprMode()); },
+    onRoleChange: applyRoleToExports,
+    onInit: bindButtons,
+  });
 
-  // ── UI helpers ─────────────────────────────────────────────────────────────
   function byId(id) { return document.getElementById(id); }
 
-  function setStatus(text) {
-    var el = byId("statusBar");
-    if (el) el.textContent = text;
+  function tableOptions(key, opts) {
+    if (key === "registrations" && sensitivityAccess("payment") === "show") {
+      var receipts = groupByEmail(page.rows("payments"));
+      opts.payments = {
+        receiptsFor: function (row) { return receipts[normaliseEmail(row.email)] || []; },
+        onToggle:    togglePayment,
+      };
+    }
+    if (key === "abstracts") {
+      opts.reviews = {
+        canAssign:    canManageReviews(),
+        onAssign:     openAssignForm,
+        ownReviewFor: ownReviewFor,
+        onReview:     openReviewForm,
+      };
+    }
+    return opts;
   }
 
-  function setError(message) {
-    var err = byId("errorBanner");
-    if (!err) return;
-    err.textContent   = message || "";
-    err.style.display = message ? "" : "none";
+  // Mailing lists need real addresses and the consent answers
+  function canExportMailingList() {
+    return sensitivityAccess("contact") === "show" && sensitivityAccess("consent") !== "hide";
   }
 
-  function setDownloadEnabled(enabled) {
-    var btn = byId("downloadBtn");
-    if (btn) btn.disabled = !enabled;
+  // Hide the exports the role may not use
+  function applyRoleToExports() {
+    var mailingBtn = byId("mailingListBtn");
+    var subjectBtn = byId("subjectExportBtn");
+    if (mailingBtn) mailingBtn.hidden = !canExportMailingList();
+    if (subjectBtn) subjectBtn.hidden = !hasFullAccess();
   }
 
-  function setSyncLoading(isLoading) {
-    var btn = byId("syncBtn");
-    if (!btn) return;
-    if (isLoading) {
-      btn.disabled = true;
-      btn.dataset.originalText = btn.textContent;
-      btn.textContent = "Syncing…";
-    } else {
-      btn.disabled    = false;
-      btn.textContent = btn.dataset.originalText || "Sync";
+  // ── Payment review ─────────────────────────────────────────────────────────
+  // Optimistic: the row flips at once and is put back if the update or the
+  // audit note fails.
+  async function togglePayment(row) {
+    if (!requireSignIn()) return;
+    var confirm = row.payment_confirmed !== "Yes";
+    var note = window.prompt(
+      (confirm ? "Confirm" : "Revoke") + " payment for " + (row.email || "this registration") +
+      ".\nAudit note (required):"
+    );
+    if (note == null) return;
+    if (!note.trim()) {
+      page.setError("Payment not changed — an audit note is required.");
+      return;
+    }
+
+    page.setError(null);
+    setPaymentFlag(row.id, confirm ? "Yes" : "No");
+
+    try {
+      await setPaymentConfirmed(row, confirm, note);
+      page.saveCache("registrations");
+      page.rebuildFilters();   // "Yes" / "No" may be a new filter option
+      page.setStatus("Payment " + (confirm ? "confirmed" : "revoked") + " for " + row.email + ".");
+    } catch (err) {
+      // Unless the change could neither be recorded nor reverted
+      if (!err.unrecorded) setPaymentFlag(row.id, row.payment_confirmed);
+      if (!handleAuthError(err)) page.setError("Could not update payment: " + (err.message || err));
     }
   }
 
-  // ── Data fetching ──────────────────────────────────────────────────────────
-  async function fetchTable(tableName) {
-    var result = await supabaseClient
-      .from(tableName)
-      .select("*")
-      .order("created_at", { ascending: true });
-    if (result.error) throw result.error;
-    return result.data || [];
+  function setPaymentFlag(id, value) {
+    page.setRows("registrations", page.rows("registrations").map(function (r) {
+      return String(r.id) === String(id) ? Object.assign({}, r, { payment_confirmed: value }) : r;
+    }));
+    var active = page.activeKey();
+    if (active === "registrations" || active === "reconciliation") page.refresh();
   }
 
-  async function syncData() {
-    setError(null);
-    setSyncLoading(true);
-    setDownloadEnabled(false);
+  // ── Abstract review ────────────────────────────────────────────────────────
+  // Roles that see every review assign reviewers; anyone with an assignment
+  // scores it. After each change the reviews are fetched again, so the
+  // aggregates include other reviewers' latest scores.
+  function canManageReviews() {
+    return sensitivityAccess("review") === "show";
+  }
 
+  // Reviews are small and always fetched in full. A failure (e.g. review
+  // tables not set up yet) returns null rather than failing the sync.
+  async function fetchReviewData(signal) {
     try {
-      if (!CONFIG || !CONFIG.SUPABASE_URL || !CONFIG.SUPABASE_KEY) {
-        throw new Error("Missing Supabase configuration in config.js.");
-      }
+      return {
+        reviews:   await page.fetchTable(ABSTRACT_REVIEWS_TABLE, "reviews", signal),
+        reviewers: canManageReviews() ? await page.fetchTable(REVIEWERS_TABLE, "reviewers", signal) : [],
+      };
+    } catch (err) {
+      if (isFetchCancelled(err) || isAuthError(err)) throw err;
+      console.warn("[reg-app] Could not load reviews:", err);
+      return null;
+    }
+  }
+
+  function saveReviewCache(data, syncedAt) {
+    saveCachedTable(ABSTRACT_REVIEWS_TABLE, data.reviews, syncedAt, null);
+    saveCachedTable(REVIEWERS_TABLE, data.reviewers, syncedAt, null);
+  }
 
-      setStatus("Fetching abstracts…");
-      var raw = await fetchTable("abstracts");
-      abstracts = transformAbstracts(raw);
+  async function loadCachedReviews() {
+    var cached = await Promise.all([
+      loadCachedTable(ABSTRACT_REVIEWS_TABLE), loadCachedTable(REVIEWERS_TABLE)]);
+    return {
+      reviews:   cached[0] ? cached[0].rows : [],
+      reviewers: cached[1] ? cached[1].rows : [],
+    };
+  }
+
+  function reviewsOf(row) {
+    return reviewData.reviews.filter(function (r) { return String(r.abstract_id) === String(row.id); });
+  }
+
+  function ownReviewFor(row) {
+    var user  = currentUser();
+    var email = normaliseEmail(user && user.email);
+    return reviewsOf(row).filter(function (r) {
+      return email && normaliseEmail(r.reviewer_email) === email;
+    })[0] || null;
+  }
 
-      var countEl = byId("absCount");
-      if (countEl) countEl.textContent = abstracts.length;
+  // @returns {Promise<boolean>} false if the reviews could not be fetched
+  async function reloadReviews() {
+    var reviews = await fetchReviewData(null);
+    if (!reviews) return false;
 
-      renderRegTable(abstracts, uiColumns(ABSTRACT_COLUMNS));
-      setDownloadEnabled(abstracts.length > 0);
-      setStatus(abstracts.length + " abstracts — synced at " + new Date().toLocaleString());
+    var syncedAt = new Date().toISOString();
+    reviewData = reviews;
+    page.setRows("abstracts", page.rows("abstracts"));
+    saveReviewCache(reviewData, syncedAt);
+    page.saveCache("abstracts", syncedAt);
+    if (page.activeKey() === "abstracts") {
+      page.rebuildFilters();   // a new suggestion may be a new filter option
+      page.refresh();
+    }
+    return true;
+  }
 
+  async function runReviewChange(change, doneText) {
+    page.setError(null);
+    try {
+      await change();
+      closeSidebar();
+      if (await reloadReviews()) page.setStatus(doneText);
+      else page.setError(doneText + " The reviews could not be reloaded — press Sync.");
     } catch (err) {
-      setError("Fetch error: " + (err.message || err));
-      setStatus("Sync failed.");
-      abstracts = [];
-      var countEl = byId("absCount");
-      if (countEl) countEl.textContent = 0;
-      renderRegTable([], uiColumns(ABSTRACT_COLUMNS));
-    } finally {
-      setSyncLoading(false);
+      if (!handleAuthError(err)) page.setError("Review not saved: " + (err.message || err));
     }
   }
 
-  // ── Excel export ───────────────────────────────────────────────────────────
-  function exportExcel() {
-    if (!abstracts.length) return;
+  function openAssignForm(row) {
+    if (!requireSignIn()) return;
+    var form = buildAssignForm(row, reviewData.reviewers, reviewsOf(row), function (emails) {
+      runReviewChange(function () {
+        return assignReviewers(row, emails, reviewData.reviewers, reviewsOf(row));
+      }, "Reviewers of abstract " + row.id + " updated.");
+    });
+    openSidebarContent("Assign reviewers", form);
+  }
+
+  function openReviewForm(row, review) {
+    if (!requireSignIn()) return;
+    var form = buildReviewForm(row, review, function (scores, comment) {
+      runReviewChange(function () {
+        return saveReview(review, scores, comment);
+      }, "Review of abstract " + row.id + " saved.");
+    });
+    openSidebarContent("Review abstract", form);
+  }
 
-    var cols   = excelColumns(ABSTRACT_COLUMNS);
-    var header = cols.map(function (c) { return c.label; });
+  // ── GDPR exports ───────────────────────────────────────────────────────────
+  function gdprMode() {
+    var select = byId("gdprMode");
+    return select ? select.value : "all";
+  }
 
-    var wsData = [header];
-    for (var r = 0; r < abstracts.length; r++) {
-      var row     = abstracts[r];
-      var dataRow = cols.map(function (c) {
-        var v = row[c.key];
-        return v != null ? v : "";
-      });
-      wsData.push(dataRow);
+  function exportMailingList() {
+    if (!page.canExport()) return;
+    if (!canExportMailingList()) {
+      page.setError("Your role may not export the mailing list.");
+      return;
+    }
+    var registrations = page.rows("registrations");
+    if (!registrations.length) {
+      page.setStatus("No registrations loaded — press Sync first.");
+      return;
     }
 
-    var ws = XLSX.utils.aoa_to_sheet(wsData);
+    var count = downloadMailingList(registrations);
+    page.setStatus(count
+      ? "Mailing list exported — " + count + " address(es) with mailing consent."
+      : "No registrants have consented to mailings.");
+  }
+
+  // Everything stored about one person, fetched fresh from every table
+  async function exportDataSubject() {
+    if (!requireSignIn()) return;
+    if (!hasFullAccess()) {
+      page.setError("Only admins may export everything stored about a person.");
+      return;
+    }
+    var email = window.prompt("Email address of the data subject:");
+    if (email == null || !normaliseEmail(email)) return;
 
-    // Auto-size columns (heuristic)
-    ws["!cols"] = cols.map(function (c) {
-      var maxLen = c.label.length;
-      for (var j = 0; j < abstracts.length; j++) {
-        var cell = String(abstracts[j][c.key] != null ? abstracts[j][c.key] : "");
-        var cap  = c.wrap ? 60 : 40;
-        var len  = cell.length < cap ? cell.length : cap;
-        if (len > maxLen) maxLen = len;
+    page.setError(null);
+    page.setButtonLoading("subjectExportBtn", true, "Collecting…");
+    try {
+      page.assertConfig();
+      var total = await downloadDataSubjectExport(email, page.setStatus);
+      page.setStatus(total
+        ? "Data-subject export downloaded — " + total + " row(s) about " + normaliseEmail(email) + "."
+        : "Nothing stored about " + normaliseEmail(email) + ".");
+    } catch (err) {
+      if (handleAuthError(err)) {
+        page.setStatus("Signed out — sign in again to export.");
+        return;
       }
-      return { wch: maxLen + 2 };
-    });
+      page.setError("Data-subject export failed: " + (err.message || err));
+      page.setStatus("Data-subject export failed.");
+    } finally {
+      page.setButtonLoading("subjectExportBtn", false);
+    }
+  }
+
+  // ── Book of abstracts ──────────────────────────────────────────────────────
+  // Sessions and their abstract links are fetched fresh; the abstracts are
+  // the loaded ones, so "Filtered rows only" and the GDPR mode apply as for
+  // the table export.
+  async function exportProgramBook() {
+    if (!requireSignIn()) return;
+    if (!page.rows("abstracts").length) {
+      page.setStatus("No abstracts loaded — press Sync first.");
+      return;
+    }
+    page.setError(null);
+    page.setButtonLoading("programBookBtn", true, "Building book…");
+    var signal = page.beginFetch();
 
-    var wb        = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, "Abstracts");
+    try {
+      page.assertConfig();
+      var sessions  = await fetchDataset("sessions", signal);
+      var decisions = await page.fetchTable(SESSION_LINKS_TABLE, "abstract links", signal);
 
-    var timestamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
-    XLSX.writeFile(wb, "abstracts_" + timestamp + ".xlsx");
+      var count = downloadProgramBook(page.exportRows("abstracts"), sessions, decisions);
+      page.setStatus(count
+        ? "Book of abstracts downloaded — " + count + " abstracts" + gdprModeNote(gdprMode()) +
+          ". Open it in a browser and print to PDF."
+        : "No abstracts to put in the book.");
 
-    setStatus("Excel exported — " + abstracts.length + " abstracts.");
+    } catch (err) {
+      if (isFetchCancelled(err)) {
+        page.setStatus("Book of abstracts cancelled.");
+        return;
+      }
+      if (handleAuthError(err)) {
+        page.setStatus("Signed out — sign in again to build the book of abstracts.");
+        return;
+      }
+      page.setError("Book of abstracts error: " + (err.message || err));
+      page.setStatus("Book of abstracts failed.");
+    } finally {
+      page.endFetch(signal);
+      page.setButtonLoading("programBookBtn", false);
+    }
   }
 
-  // ── Init ───────────────────────────────────────────────────────────────────
-  function init() {
-    var syncBtn     = byId("syncBtn");
-    var downloadBtn = byId("downloadBtn");
+  // ── Full archive (ZIP) ─────────────────────────────────────────────────────
+  // A whole dataset, fetched fresh and transformed
+  async function fetchDataset(key, signal) {
+    var dataset = DATASETS[key];
+    return dataset.transform(await page.fetchTable(dataset.table, dataset.noun, signal));
+  }
 
-    if (syncBtn)     syncBtn.addEventListener("click", syncData);
-    if (downloadBtn) downloadBtn.addEventListener("click", exportExcel);
+  // Always fetches every table fresh, so the archive never mixes data
+  // from different sync times.
+  async function downloadArchive() {
+    if (!requireSignIn()) return;
+    page.setError(null);
+    page.setButtonLoading("archiveBtn", true, "Building archive…");
+    var signal = page.beginFetch();
 
-    setDownloadEnabled(false);
-    setStatus("Press Sync to fetch abstracts…");
-  }
+    try {
+      page.assertConfig();
+
+      var registrations = await fetchDataset("registrations", signal);
+      var abs           = await fetchDataset("abstracts", signal);
+      var payments      = await fetchDataset("payments", signal);
+      var sessions      = await fetchDataset("sessions", signal);
+      var decisions     = await page.fetchTable(SESSION_LINKS_TABLE, "abstract links", signal);
 
-  if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", init);
-  } else {
-    init();
+      // One policy for all three, so pseudonyms match across the sheets
+      var mode   = gdprMode();
+      var policy = gdprPolicy(registrations, mode);
+      var summary = await downloadZip(
+        applyGdprPolicy(registrations, policy),
+        applyGdprPolicy(abs, policy),
+        applyGdprPolicy(payments, policy),
+        sessions,
+        decisions,
+        page.setStatus);
+      page.setStatus("Archive downloaded — " + summary + gdprModeNote(mode));
+
+    } catch (err) {
+      if (isFetchCancelled(err)) {
+        page.setStatus("Archive cancelled.");
+        return;
+      }
+      if (handleAuthError(err)) {
+        page.setStatus("Signed out — sign in again to download the archive.");
+        return;
+      }
+      page.setError("Archive error: " + (err.message || err));
+      page.setStatus("Archive failed.");
+    } finally {
+      page.endFetch(signal);
+      page.setButtonLoading("archiveBtn", false);
+    }
   }
 
-  window.appSync = syncData;
+  // ── Init ───────────────────────────────────────────────────────────────────
+  function bindButtons() {
+    var archiveBtn = byId("archiveBtn");
+    var mailingBtn = byId("mailingListBtn");
+    var subjectBtn = byId("subjectExportBtn");
+    var bookBtn    = byId("programBookBtn");
+
+    if (archiveBtn) archiveBtn.addEventListener("click", downloadArchive);
+    if (mailingBtn) mailingBtn.addEventListener("click", exportMailingList);
+    if (subjectBtn) subjectBtn.addEventListener("click", exportDataSubject);
+    if (bookBtn)    bookBtn.addEventListener("click", exportProgramBook);
+  }
 
 })();
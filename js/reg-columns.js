@@ -1,70 +1,68 @@
 // ---------------------------------------------------------------------------
 // reg-columns.js — Column definitions for the three registration-phase tables
+//
+// ColumnDef, uiColumns and excelColumns are in columns.js.
 // ---------------------------------------------------------------------------
 
-/**
- * @typedef {Object} ColumnDef
- * @property {string}  key   — property name on a transformed row object
- * @property {string}  label — human-readable header for the UI & Excel export
- * @property {boolean} [wrap]  — if true, the cell allows text wrapping / sidebar click
- * @property {boolean} [excelOnly] — if true, only included in Excel, not in UI table
- * @property {boolean} [uiOnly]   — if true, only included in UI table, not in Excel
- */
-
 // ── Registrations ─────────────────────────────────────────────────────────────
 /** @type {ColumnDef[]} */
 var REGISTRATION_COLUMNS = [
   { key: "id",                label: "ID" },
-  { key: "created_at",        label: "Submitted At" },
-  { key: "updated_at",        label: "Updated At" },
+  { key: "created_at",        label: "Submitted At",      filter: "date", type: "date" },
+  { key: "updated_at",        label: "Updated At",        filter: "date", type: "date" },
   { key: "first_name",        label: "First Name" },
   { key: "last_name",         label: "Last Name" },
-  { key: "email",             label: "Email" },
-  { key: "affiliation",       label: "Affiliation",       wrap: true },
-  { key: "country",           label: "Country" },
-  { key: "registration_type", label: "Type" },
-  { key: "abstract_intent",   label: "Abstract Intent" },
-  { key: "payment_confirmed", label: "Payment Confirmed" },
-  { key: "mailing_consent",   label: "Mailing Consent" },
-  { key: "gdpr_consent",      label: "GDPR Consent" },
+  { key: "email",             label: "Email",             type: "email", sensitivity: "contact" },
+  { key: "affiliation",       label: "Affiliation",       wrap: true, sensitivity: "personal" },
+  { key: "country",           label: "Country",           filter: "select", type: "country", sensitivity: "personal" },
+  { key: "registration_type", label: "Type",              filter: "select" },
+  { key: "abstract_intent",   label: "Abstract Intent",   filter: "select" },
+  { key: "payment_confirmed", label: "Payment Confirmed", filter: "select", type: "payment", sensitivity: "payment",
+    badges: { Yes: "badge-approved", No: "badge-pending-pay" } },
+  { key: "mailing_consent",   label: "Mailing Consent",   filter: "select", type: "boolean", sensitivity: "consent" },
+  { key: "gdpr_consent",      label: "GDPR Consent",      filter: "select", type: "boolean", sensitivity: "consent" },
+  // Set by duplicate-detector.js
+  { key: "duplicate_flag",    label: "Duplicate",         filter: "select", type: "duplicate" },
 ];
 
 // ── Abstracts ─────────────────────────────────────────────────────────────────
 /** @type {ColumnDef[]} */
 var ABSTRACT_COLUMNS = [
   { key: "id",            label: "ID" },
-  { key: "created_at",    label: "Submitted At" },
+  { key: "created_at",    label: "Submitted At",  filter: "date", type: "date" },
   { key: "first_name",    label: "First Name" },
   { key: "last_name",     label: "Last Name" },
-  { key: "email",         label: "Email" },
-  { key: "affiliation",   label: "Affiliation",   wrap: true },
+  { key: "email",         label: "Email",         type: "email", sensitivity: "contact" },
+  { key: "affiliation",   label: "Affiliation",   wrap: true, sensitivity: "personal" },
   { key: "title",         label: "Title",         wrap: true },
   { key: "session",       label: "Session",       wrap: true },
-  { key: "co_authors",    label: "Co-Authors",    wrap: true },
+  { key: "co_authors",    label: "Co-Authors",    wrap: true, type: "authors" },
+  // Set by author-parser.js when the co-authors need a manual look
+  { key: "co_authors_check", label: "Authors Check", filter: "select" },
   { key: "abstract_text", label: "Abstract Text", wrap: true },
+  // Set by duplicate-detector.js
+  { key: "duplicate_flag", label: "Duplicate",    filter: "select", type: "duplicate" },
+  // Set by abstract-review.js (markReviews)
+  { key: "review_count",      label: "Reviews",    sensitivity: "review" },
+  { key: "review_score",      label: "Score (/10)", sensitivity: "review" },
+  { key: "review_agreement",  label: "Agreement",  sensitivity: "review" },
+  { key: "review_suggestion", label: "Suggestion", sensitivity: "review", filter: "select", type: "badge",
+    badges: { Accept: "badge-approved", Reject: "badge-rejected", Discuss: "badge-waitlisted",
+              Pending: "badge-submitted" } },
+  // Assign / score buttons, per role
+  { key: "review_actions",    label: "Review",     uiOnly: true, filter: false, type: "review-actions" },
 ];
 
 // ── Payment Receipts ──────────────────────────────────────────────────────────
+// Everything identifying a payment is payment data, the email included
 /** @type {ColumnDef[]} */
 var PAYMENT_COLUMNS = [
   { key: "id",           label: "ID" },
-  { key: "created_at",   label: "Submitted At" },
-  { key: "email",        label: "Email" },
-  { key: "receipt_type", label: "Receipt Type" },
-  { key: "notes",        label: "Notes", wrap: true },
+  { key: "created_at",   label: "Submitted At", filter: "date", type: "date" },
+  { key: "email",        label: "Email",        type: "email", sensitivity: "payment" },
+  { key: "receipt_type", label: "Receipt Type", filter: "select", sensitivity: "payment" },
+  { key: "notes",        label: "Notes", wrap: true, sensitivity: "payment" },
   // UI: clickable badge → signed URL; Excel: raw storage path
-  { key: "has_file",   label: "File", uiOnly: true,   bucket: "payment-receipts" },
-  { key: "_file_path", label: "File Path (ZIP)", excelOnly: true },
+  { key: "has_file",   label: "File", uiOnly: true,   type: "file", bucket: "payment-receipts", filter: false, sensitivity: "payment" },
+  { key: "_file_path", label: "File Path (ZIP)", excelOnly: true, sensitivity: "payment" },
 ];
-
-// ── Helpers ───────────────────────────────────────────────────────────────────
-
-/** Return only the columns meant for the UI table. */
-function uiColumns(cols) {
-  return cols.filter(function (c) { return !c.excelOnly; });
-}
-
-/** Return only the columns meant for Excel export. */
-function excelColumns(cols) {
-  return cols.filter(function (c) { return !c.uiOnly; });
-}
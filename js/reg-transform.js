@@ -1,6 +1,8 @@
 // ---------------------------------------------------------------------------
 // reg-transform.js — Transform raw Supabase rows into flat display-ready objects
 //                    for the three registration-phase tables.
+//
+// Depends on: author-parser.js (parseCoAuthors, AUTHOR_REVIEW_FLAG)
 // ---------------------------------------------------------------------------
 
 /**
@@ -70,6 +72,8 @@ function transformAbstract(raw) {
     session:       raw.session       || "",
     // co_authors is free-form text; could contain multiple authors
     co_authors:    raw.co_authors    || "",
+    // author-parser.js could not split it cleanly
+    co_authors_check: parseCoAuthors(raw.co_authors).issues.length ? AUTHOR_REVIEW_FLAG : "",
     abstract_text: raw.abstract_text || "",
     // UI display: badge
     has_file:      raw.file_path ? fileLabel(raw.file_path) : "",
@@ -0,0 +1,382 @@
+// ---------------------------------------------------------------------------
+// schedule-app.js — Session scheduling board
+//
+// Runs the "sessions" dataset (datasets.js) on the shared controller
+// (dataset-app.js: sync, offline cache, sign-in) and draws it as a board
+// instead of a table: approved sessions are dragged from the pool into a
+// room / time slot (or onto another session to swap the two), and talks are
+// dragged within their session to set the order. Every move is saved at once
+// and put back if the save fails.
+//
+// Depends on:
+//   datasets.js         (DATASETS)
+//   dataset-app.js      (createDatasetPage)
+//   auth.js             (requireSignIn, handleAuthError)
+//   data-fetch.js       (newestTimestamp)
+//   offline-cache.js    (loadCachedTable, saveCachedTable)
+//   reg-transform.js    (transformAbstracts)
+//   session-matcher.js  (SESSION_LINKS_TABLE)
+//   schedule.js         (SCHEDULE_GRID, SCHEDULE_TABLE, scheduledSessions,
+//                        talksBySession, orderTalks, scheduleEntries, isPlaced,
+//                        findScheduleConflicts, conflictText, saveScheduleEntries,
+//                        downloadScheduleXlsx, downloadScheduleIcs)
+// ---------------------------------------------------------------------------
+
+(function () {
+
+  // Abstracts, their session links and the stored placements; null until
+  // synced or read from the cache
+  var boardData = null;
+
+  var sessions = [];            // approved sessions, as drawn
+  var talks    = {};            // session id → abstracts
+  var entries  = {};            // session id → ScheduleEntry
+
+  // What is being dragged: { type: "session", id } or { type: "talk", sessionId, id }
+  var dragging = null;
+
+  var page = createDatasetPage({
+    datasets:     ["sessions"],
+    signedInText: "the approved sessions",
+    related: {
+      fetch:       fetchBoardData,
+      apply:       function (data) {
+        boardData = data;
+        entries   = scheduleEntries(data.schedule);
+      },
+      save:        saveBoardCache,
+      loadCached:  loadCachedBoard,
+      clear:       function () {
+        boardData = null;
+        entries   = {};
+      },
+      failureText: "The schedule could not be loaded.",
+    },
+    // Talks are linked against every session, approved or not
+    markRows: function (key, rows) {
+      talks = boardData ? talksBySession(rows, boardData.abstracts, boardData.decisions) : {};
+      return rows;
+    },
+    render:     renderBoard,
+    statusNote: function () { return " — " + sessions.length + " approved"; },
+    onInit:     function (p) {
+      bindButtons();
+      p.refresh();
+    },
+  });
+
+  function byId(id) { return document.getElementById(id); }
+
+  function setExportEnabled(enabled) {
+    ["xlsxBtn", "icsBtn"].forEach(function (id) {
+      var btn = byId(id);
+      if (btn) btn.disabled = !enabled;
+    });
+  }
+
+  // Conflicts are warnings: the error banner stays for real errors
+  function setConflictWarning(text) {
+    var banner = byId("conflictBanner");
+    if (!banner) return;
+    banner.textContent = text || "";
+    banner.hidden      = !text;
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  // ── Data ───────────────────────────────────────────────────────────────────
+  // Not optional like the other pages' related data: moves made on a missing
+  // or stale schedule would overwrite the stored one, so a failure fails the
+  // sync.
+  async function fetchBoardData(signal) {
+    var rawAbstracts = await page.fetchTable("abstracts", "abstracts", signal);
+    return {
+      abstracts: transformAbstracts(rawAbstracts),
+      decisions: await page.fetchTable(SESSION_LINKS_TABLE, "abstract links", signal),
+      schedule:  await page.fetchTable(SCHEDULE_TABLE, "schedule", signal),
+      watermark: newestTimestamp(rawAbstracts, DATASETS.abstracts.watermarkColumns, null),
+    };
+  }
+
+  function saveBoardCache(data, syncedAt) {
+    // Same cache entries as the sessions page and the abstracts tab
+    saveCachedTable("abstracts", data.abstracts, syncedAt, data.watermark);
+    saveCachedTable(SESSION_LINKS_TABLE, data.decisions, syncedAt, null);
+    saveScheduleCache(syncedAt);
+  }
+
+  function saveScheduleCache(syncedAt) {
+    var rows = Object.keys(entries).map(function (id) { return entries[id]; });
+    saveCachedTable(SCHEDULE_TABLE, rows, syncedAt || new Date().toISOString(), null);
+  }
+
+  // Without a cached schedule there is nothing safe to show
+  async function loadCachedBoard() {
+    var cached = await Promise.all([
+      loadCachedTable("abstracts"),
+      loadCachedTable(SESSION_LINKS_TABLE),
+      loadCachedTable(SCHEDULE_TABLE),
+    ]);
+    if (!cached[2]) return null;
+    return {
+      abstracts: cached[0] ? cached[0].rows : [],
+      decisions: cached[1] ? cached[1].rows : [],
+      schedule:  cached[2].rows,
+    };
+  }
+
+  // ── Moves ──────────────────────────────────────────────────────────────────
+  function entryFor(id) {
+    return entries[id] || { session_id: id, day: null, start_time: null, room: null, talk_order: [] };
+  }
+
+  /**
+   * Apply changed entries at once, then save them together; all are put
+   * back if the save fails.
+   *
+   * @param {ScheduleEntry[]} changed
+   * @param {string}          doneText
+   */
+  async function applyEntries(changed, doneText) {
+    if (!requireSignIn()) return;
+    var previous = changed.map(function (e) { return entries[e.session_id]; });
+    changed.forEach(function (e) { entries[e.session_id] = e; });
+    page.setError(null);
+    page.refresh();
+
+    try {
+      await saveScheduleEntries(changed);
+      saveScheduleCache();
+      page.setStatus(doneText);
+    } catch (err) {
+      changed.forEach(function (e, i) {
+        if (previous[i]) entries[e.session_id] = previous[i];
+        else delete entries[e.session_id];
+      });
+      page.refresh();
+      if (!handleAuthError(err)) page.setError("Could not save the schedule: " + (err.message || err));
+    }
+  }
+
+  // Place a session in a cell (null: back to the pool); a session already
+  // in that cell takes the moved session's old place, or the pool
+  function moveSession(id, cell) {
+    var moved = entryFor(id);
+    var from  = { day: moved.day, start_time: moved.start_time, room: moved.room };
+    var to    = cell || { day: null, start_time: null, room: null };
+    var changed = [Object.assign({}, moved, to)];
+
+    if (cell) {
+      sessions.forEach(function (s) {
+        var e = entries[s.id];
+        if (String(s.id) !== String(id) && isPlaced(e) &&
+            e.day === cell.day && e.start_time === cell.start_time && e.room === cell.room) {
+          changed.push(Object.assign({}, e, from));
+        }
+      });
+    }
+    var session = sessionById(id);
+    applyEntries(changed, cell
+      ? "\"" + session.session_title + "\" scheduled — " + cell.day + " " + cell.start_time + ", " + cell.room + "."
+      : "\"" + session.session_title + "\" unscheduled.");
+  }
+
+  // Move a talk before another talk of its session (or to the end)
+  function moveTalk(sessionId, talkId, beforeId) {
+    var order = orderTalks(talks[sessionId] || [], entryFor(sessionId).talk_order)
+      .map(function (t) { return t.id; })
+      .filter(function (id) { return String(id) !== String(talkId); });
+    var at = beforeId == null ? -1 : order.map(String).indexOf(String(beforeId));
+    order.splice(at === -1 ? order.length : at, 0, talkId);
+
+    applyEntries([Object.assign({}, entryFor(sessionId), { talk_order: order })],
+      "Talk order saved for \"" + sessionById(sessionId).session_title + "\".");
+  }
+
+  function sessionById(id) {
+    return sessions.filter(function (s) { return String(s.id) === String(id); })[0];
+  }
+
+  // ── Drag and drop ──────────────────────────────────────────────────────────
+  function makeDraggable(node, payload) {
+    node.draggable = true;
+    node.addEventListener("dragstart", function (e) {
+      e.stopPropagation();
+      dragging = payload;
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", String(payload.id));
+      }
+    });
+    node.addEventListener("dragend", function () { dragging = null; });
+  }
+
+  // `accepts(dragging)` decides whether the target lights up; `onDrop` acts
+  function makeDropTarget(node, accepts, onDrop) {
+    node.addEventListener("dragover", function (e) {
+      if (!dragging || !accepts(dragging)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      node.classList.add("drop-over");
+    });
+    node.addEventListener("dragleave", function () { node.classList.remove("drop-over"); });
+    node.addEventListener("drop", function (e) {
+      node.classList.remove("drop-over");
+      if (!dragging || !accepts(dragging)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      var payload = dragging;
+      dragging = null;
+      onDrop(payload);
+    });
+  }
+
+  // ── Rendering ──────────────────────────────────────────────────────────────
+  function isSession(d) { return d.type === "session"; }
+
+  function buildTalkList(session) {
+    var list    = el("ol", "schedule-talks");
+    var ordered = orderTalks(talks[session.id] || [], entryFor(session.id).talk_order);
+    function sameSession(d) { return d.type === "talk" && String(d.sessionId) === String(session.id); }
+
+    ordered.forEach(function (t) {
+      var li = el("li", "schedule-talk",
+        t.title + " — " + [t.first_name, t.last_name].filter(Boolean).join(" "));
+      makeDraggable(li, { type: "talk", sessionId: session.id, id: t.id });
+      makeDropTarget(li, sameSession, function (d) {
+        if (String(d.id) !== String(t.id)) moveTalk(session.id, d.id, t.id);
+      });
+      list.appendChild(li);
+    });
+    // Dropping on the list itself (below the last talk) moves to the end
+    makeDropTarget(list, sameSession, function (d) { moveTalk(session.id, d.id, null); });
+    return list;
+  }
+
+  function buildSessionCard(session, conflicts) {
+    var card = el("div", "schedule-session" + (conflicts ? " has-conflict" : ""));
+    card.appendChild(el("div", "schedule-session-title", session.session_title));
+
+    var count = (talks[session.id] || []).length;
+    card.appendChild(el("div", "schedule-session-meta", count + (count === 1 ? " talk" : " talks")));
+
+    if (conflicts) {
+      var warn = el("ul", "schedule-conflicts");
+      conflicts.forEach(function (c) {
+        warn.appendChild(el("li", null, "⚠ " + conflictText(c)));
+      });
+      card.appendChild(warn);
+    }
+    if (count) card.appendChild(buildTalkList(session));
+
+    makeDraggable(card, { type: "session", id: session.id });
+    return card;
+  }
+
+  function buildCell(cell, conflicts) {
+    var td = el("td", "schedule-cell");
+    sessions.forEach(function (s) {
+      var e = entries[s.id];
+      if (isPlaced(e) && e.day === cell.day && e.start_time === cell.start_time && e.room === cell.room) {
+        td.appendChild(buildSessionCard(s, conflicts[s.id]));
+      }
+    });
+    makeDropTarget(td, isSession, function (d) { moveSession(d.id, cell); });
+    return td;
+  }
+
+  function buildDay(day, conflicts) {
+    var section = el("section", "schedule-day");
+    section.appendChild(el("h2", null,
+      new Date(day + "T00:00:00").toLocaleDateString("en-GB", { weekday: "long", day: "numeric", month: "long" })));
+
+    var table = el("table", "schedule-grid");
+    var head  = el("tr");
+    head.appendChild(el("th", null, "Time"));
+    SCHEDULE_GRID.rooms.forEach(function (room) { head.appendChild(el("th", null, room)); });
+    table.appendChild(el("thead")).appendChild(head);
+
+    var body = el("tbody");
+    SCHEDULE_GRID.slots.forEach(function (slot) {
+      var tr = el("tr");
+      tr.appendChild(el("th", "schedule-time", slot.start + "–" + slot.end));
+      SCHEDULE_GRID.rooms.forEach(function (room) {
+        tr.appendChild(buildCell({ day: day, start_time: slot.start, room: room }, conflicts));
+      });
+      body.appendChild(tr);
+    });
+    table.appendChild(body);
+    section.appendChild(table);
+    return section;
+  }
+
+  // The controller's `render` hook: `rows` are the loaded sessions
+  function renderBoard(key, rows) {
+    var board = byId("scheduleBoard");
+    sessions = scheduledSessions(rows);
+    if (!board) return;
+    board.innerHTML = "";
+    setExportEnabled(false);
+    setConflictWarning(null);
+
+    if (!boardData) {
+      board.appendChild(el("div", "empty-state", "No data loaded yet. Press Sync to fetch the approved sessions."));
+      return;
+    }
+    if (SCHEDULE_GRID.days.length === 0) {
+      board.appendChild(el("div", "empty-state",
+        "No conference days configured — add SCHEDULE.days to config.js (see config.example.js)."));
+      return;
+    }
+
+    var conflicts = findScheduleConflicts(sessions, talks, entries);
+
+    var pool = el("section", "schedule-pool");
+    pool.appendChild(el("h2", null, "Unscheduled"));
+    var unplaced = sessions.filter(function (s) { return !isPlaced(entries[s.id]); });
+    if (unplaced.length === 0) pool.appendChild(el("p", "schedule-hint", "All approved sessions are scheduled."));
+    unplaced.forEach(function (s) { pool.appendChild(buildSessionCard(s, null)); });
+    makeDropTarget(pool, isSession, function (d) {
+      if (isPlaced(entries[d.id])) moveSession(d.id, null);
+    });
+    board.appendChild(pool);
+
+    var days = el("div", "schedule-days");
+    SCHEDULE_GRID.days.forEach(function (day) { days.appendChild(buildDay(day, conflicts)); });
+    board.appendChild(days);
+
+    var conflictCount = Object.keys(conflicts).length;
+    setConflictWarning(conflictCount
+      ? conflictCount + " sessions share an organizer or presenter with a parallel session."
+      : null);
+    setExportEnabled(sessions.length - unplaced.length > 0);
+  }
+
+  // ── Export ─────────────────────────────────────────────────────────────────
+  function exportXlsx() {
+    if (!page.canExport()) return;
+    var count = downloadScheduleXlsx(sessions, talks, entries);
+    page.setStatus(count ? "Excel schedule downloaded — " + count + " sessions." : "No scheduled sessions to export.");
+  }
+
+  function exportIcs() {
+    if (!page.canExport()) return;
+    var count = downloadScheduleIcs(sessions, talks, entries);
+    page.setStatus(count ? "Calendar downloaded — " + count + " sessions." : "No scheduled sessions to export.");
+  }
+
+  // ── Init ───────────────────────────────────────────────────────────────────
+  function bindButtons() {
+    var xlsxBtn = byId("xlsxBtn");
+    var icsBtn  = byId("icsBtn");
+
+    if (xlsxBtn) xlsxBtn.addEventListener("click", exportXlsx);
+    if (icsBtn)  icsBtn.addEventListener("click", exportIcs);
+  }
+
+})();
@@ -0,0 +1,426 @@
+// ---------------------------------------------------------------------------
+// schedule.js — Timetable of the approved thematic sessions
+//
+// Each approved session can be placed in one room / time slot, and its talks
+// (the abstracts linked to that session, as on the sessions page and in the
+// book of abstracts) put in order. Placements are stored one row per session:
+//
+//   session_schedule (
+//     session_id primary key, updated_at,
+//     day date, start_time text, room text,   -- all null when unscheduled
+//     talk_order jsonb                        -- abstract ids, in order
+//   )
+//
+// The grid itself (days, rooms, slots) comes from config.js:
+//
+//   SCHEDULE: {
+//     days:  ["2026-09-14", "2026-09-15"],
+//     rooms: ["Room A", "Room B"],
+//     slots: [{ start: "09:00", end: "10:30" }, …],
+//   }
+//
+// Rooms and slots have defaults; days have none, since they are the
+// conference's own dates.
+//
+// A conflict is the same person — an organizer (organizer_*_email) or a
+// presenting author (abstract `email`) — in two sessions of the same slot.
+//
+// Depends on: config.js (CONFIG), supabase-client.js (supabaseClient),
+//             transform.js (ORGANIZER_PREFIXES), text-utils.js (normaliseEmail),
+//             redaction.js (sensitivityAccess, maskValue),
+//             session-matcher.js (linkAbstractsToSessions),
+//             export-formats.js (buildSheet, downloadBlob, fileTimestamp)
+// ---------------------------------------------------------------------------
+
+var SCHEDULE_TABLE = "session_schedule";
+
+// Sessions with this status are scheduled (SESSION_STATUSES in columns.js)
+var SCHEDULED_STATUS = "approved";
+
+/**
+ * @typedef {Object} ScheduleGrid
+ * @property {string[]} days  — ISO dates
+ * @property {string[]} rooms
+ * @property {{start: string, end: string}[]} slots — "HH:MM", local time
+ */
+
+/** @type {ScheduleGrid} */
+var SCHEDULE_GRID = Object.assign({
+  days:  [],
+  rooms: ["Room A", "Room B", "Room C"],
+  slots: [
+    { start: "09:00", end: "10:30" },
+    { start: "11:00", end: "12:30" },
+    { start: "14:00", end: "15:30" },
+    { start: "16:00", end: "17:30" },
+  ],
+}, typeof CONFIG !== "undefined" ? CONFIG.SCHEDULE : null);
+
+/**
+ * @typedef {Object} ScheduleEntry
+ * @property {*}        session_id
+ * @property {?string}  day
+ * @property {?string}  start_time
+ * @property {?string}  room
+ * @property {Array}    talk_order — abstract ids
+ */
+
+// ── Model ─────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Object[]} sessions — transformed thematic session rows
+ * @returns {Object[]} the approved ones
+ */
+function scheduledSessions(sessions) {
+  return sessions.filter(function (s) { return s.status === SCHEDULED_STATUS; });
+}
+
+/**
+ * Abstracts by the session they are linked to. Link against every session,
+ * not only the approved ones, so an abstract is never moved to an approved
+ * session with a similar title.
+ *
+ * @param {Object[]} sessions  — transformed thematic session rows
+ * @param {Object[]} abstracts — transformed abstract rows
+ * @param {Object[]} decisions — abstract_session_links rows
+ * @returns {Object<string, Object[]>} session id → abstracts, by title
+ */
+function talksBySession(sessions, abstracts, decisions) {
+  var bySession = linkAbstractsToSessions(abstracts, sessions, decisions).bySession;
+  var talks = {};
+  Object.keys(bySession).forEach(function (id) {
+    talks[id] = bySession[id].map(function (l) { return l.abstract; });
+  });
+  return talks;
+}
+
+/**
+ * A session's talks in the stored order; talks not in `order` (new
+ * abstracts) follow, by title.
+ *
+ * @param {Object[]} talks
+ * @param {Array}    [order] — abstract ids
+ * @returns {Object[]}
+ */
+function orderTalks(talks, order) {
+  var rank = {};
+  (order || []).forEach(function (id, i) { rank[String(id)] = i; });
+  return talks
+    .map(function (t, i) { return { talk: t, rank: String(t.id) in rank ? rank[String(t.id)] : Infinity, i: i }; })
+    .sort(function (a, b) { return a.rank - b.rank || a.i - b.i; })
+    .map(function (e) { return e.talk; });
+}
+
+/** @returns {boolean} true if the entry is placed in the current grid */
+function isPlaced(entry) {
+  return !!entry && SCHEDULE_GRID.days.indexOf(entry.day) !== -1 &&
+    SCHEDULE_GRID.rooms.indexOf(entry.room) !== -1 &&
+    SCHEDULE_GRID.slots.some(function (s) { return s.start === entry.start_time; });
+}
+
+function slotEnd(start) {
+  var slot = SCHEDULE_GRID.slots.filter(function (s) { return s.start === start; })[0];
+  return slot ? slot.end : "";
+}
+
+// ── Conflicts ─────────────────────────────────────────────────────────────────
+
+/**
+ * Everyone who has to be in the room: organizers and presenting authors.
+ *
+ * @param {Object}   session — transformed session row
+ * @param {Object[]} talks   — its abstracts
+ * @returns {Object<string, string>} normalised email → role, e.g. "organizer"
+ */
+function sessionPeople(session, talks) {
+  var people = {};
+  ORGANIZER_PREFIXES.forEach(function (prefix) {
+    var email = normaliseEmail(session[prefix + "_email"]);
+    if (email) people[email] = "organizer";
+  });
+  talks.forEach(function (t) {
+    var email = normaliseEmail(t.email);
+    if (email && !people[email]) people[email] = "presenter of \"" + t.title + "\"";
+  });
+  return people;
+}
+
+/**
+ * @typedef {Object} ScheduleConflict
+ * @property {string} email        — normalised
+ * @property {string} role         — in this session, e.g. "organizer"
+ * @property {string} otherRole    — in the parallel session
+ * @property {string} otherSession — its title
+ */
+
+/**
+ * Sessions sharing a person with another session in the same slot.
+ *
+ * @param {Object[]}                       sessions — approved session rows
+ * @param {Object<string, Object[]>}       talks    — from talksBySession
+ * @param {Object<string, ScheduleEntry>}  entries  — by session id
+ * @returns {Object<string, ScheduleConflict[]>} by session id; sessions
+ *   without conflicts are left out
+ */
+function findScheduleConflicts(sessions, talks, entries) {
+  var bySlot = {};
+  sessions.forEach(function (s) {
+    var entry = entries[s.id];
+    if (!isPlaced(entry)) return;
+    var key = entry.day + "|" + entry.start_time;
+    (bySlot[key] = bySlot[key] || []).push(s);
+  });
+
+  var conflicts = {};
+  Object.keys(bySlot).forEach(function (key) {
+    var group  = bySlot[key];
+    var people = group.map(function (s) { return sessionPeople(s, talks[s.id] || []); });
+    group.forEach(function (session, i) {
+      group.forEach(function (other, j) {
+        if (i === j) return;
+        Object.keys(people[i]).forEach(function (email) {
+          if (!people[j][email]) return;
+          (conflicts[session.id] = conflicts[session.id] || []).push({
+            email:        email,
+            role:         people[i][email],
+            otherRole:    people[j][email],
+            otherSession: other.session_title,
+          });
+        });
+      });
+    });
+  });
+  return conflicts;
+}
+
+/**
+ * One line describing a conflict; the email is masked unless the user's
+ * role may see contact details.
+ *
+ * @param {ScheduleConflict} conflict
+ * @returns {string}
+ */
+function conflictText(conflict) {
+  var email = sensitivityAccess("contact") === "show" ? conflict.email : maskValue(conflict.email);
+  return email + " (" + conflict.role + ") is also " + conflict.otherRole +
+    " in \"" + conflict.otherSession + "\"";
+}
+
+// ── Storage ───────────────────────────────────────────────────────────────────
+
+/**
+ * Stored entries by session id.
+ *
+ * @param {Object[]} rows — session_schedule rows
+ * @returns {Object<string, ScheduleEntry>}
+ */
+function scheduleEntries(rows) {
+  var entries = {};
+  rows.forEach(function (r) {
+    entries[r.session_id] = {
+      session_id: r.session_id,
+      day:        r.day || null,
+      start_time: r.start_time || null,
+      room:       r.room || null,
+      talk_order: Array.isArray(r.talk_order) ? r.talk_order : [],
+    };
+  });
+  return entries;
+}
+
+/**
+ * Save sessions' placements and talk orders in one request, so a swap is
+ * stored whole or not at all.
+ *
+ * @param {ScheduleEntry[]} entries
+ * @returns {Promise<void>}
+ */
+async function saveScheduleEntries(entries) {
+  var now    = new Date().toISOString();
+  var result = await supabaseClient
+    .from(SCHEDULE_TABLE)
+    .upsert(entries.map(function (entry) {
+      return {
+        session_id: entry.session_id,
+        day:        entry.day,
+        start_time: entry.start_time,
+        room:       entry.room,
+        talk_order: entry.talk_order,
+        updated_at: now,
+      };
+    }), { onConflict: "session_id" })
+    .select("session_id");
+
+  if (result.error) throw result.error;
+  if (!result.data || result.data.length < entries.length) {
+    throw new Error("Schedule was not saved — check your permissions.");
+  }
+}
+
+// ── Export ────────────────────────────────────────────────────────────────────
+
+/** @type {ColumnDef[]} */
+var SCHEDULE_COLUMNS = [
+  { key: "day",        label: "Day",       type: "date" },
+  { key: "start",      label: "Start" },
+  { key: "end",        label: "End" },
+  { key: "room",       label: "Room" },
+  { key: "session",    label: "Session",   wrap: true },
+  { key: "organizers", label: "Organizers", wrap: true },
+  { key: "talk",       label: "Talk #" },
+  { key: "title",      label: "Talk Title", wrap: true },
+  { key: "presenter",  label: "Presenter" },
+  { key: "email",      label: "Presenter Email", sensitivity: "contact" },
+];
+
+function organizerNames(session) {
+  return ORGANIZER_PREFIXES.map(function (prefix) {
+    return [session[prefix + "_firstName"], session[prefix + "_lastName"]].filter(Boolean).join(" ");
+  }).filter(Boolean).join(", ");
+}
+
+// Placed sessions in timetable order
+function placedSessions(sessions, entries) {
+  function rank(entry) {
+    return [SCHEDULE_GRID.days.indexOf(entry.day), entry.start_time, SCHEDULE_GRID.rooms.indexOf(entry.room)];
+  }
+  return sessions
+    .filter(function (s) { return isPlaced(entries[s.id]); })
+    .sort(function (a, b) {
+      var ra = rank(entries[a.id]), rb = rank(entries[b.id]);
+      return ra[0] - rb[0] || ra[1].localeCompare(rb[1]) || ra[2] - rb[2];
+    });
+}
+
+/**
+ * One row per talk of each placed session (a session without talks gets
+ * one row of its own), in timetable order.
+ *
+ * @returns {Object[]} rows keyed like SCHEDULE_COLUMNS
+ */
+function scheduleRows(sessions, talks, entries) {
+  var rows = [];
+  placedSessions(sessions, entries).forEach(function (s) {
+    var entry = entries[s.id];
+    var base  = {
+      day:        entry.day,
+      start:      entry.start_time,
+      end:        slotEnd(entry.start_time),
+      room:       entry.room,
+      session:    s.session_title,
+      organizers: organizerNames(s),
+    };
+    var ordered = orderTalks(talks[s.id] || [], entry.talk_order);
+    if (ordered.length === 0) rows.push(base);
+    ordered.forEach(function (t, i) {
+      rows.push(Object.assign({}, base, {
+        talk:      i + 1,
+        title:     t.title,
+        presenter: [t.first_name, t.last_name].filter(Boolean).join(" "),
+        email:     t.email,
+      }));
+    });
+  });
+  return rows;
+}
+
+/**
+ * Download the timetable as `schedule_<timestamp>.xlsx`.
+ *
+ * @returns {number} sessions in the timetable (nothing is downloaded for 0)
+ */
+function downloadScheduleXlsx(sessions, talks, entries) {
+  var count = placedSessions(sessions, entries).length;
+  if (count === 0) return 0;
+
+  var wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, buildSheet(scheduleRows(sessions, talks, entries), SCHEDULE_COLUMNS), "Schedule");
+  XLSX.writeFile(wb, "schedule_" + fileTimestamp() + ".xlsx");
+  return count;
+}
+
+// Text value escaping (RFC 5545 §3.3.11)
+function icsText(value) {
+  return String(value != null ? value : "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines are folded at 75 octets, not characters (Greek letters take two)
+function foldIcsLine(line) {
+  var parts = [], current = "", octets = 0;
+  Array.from(line).forEach(function (ch) {
+    var cp   = ch.codePointAt(0);
+    var size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      octets  = 0;
+    }
+    current += ch;
+    octets  += size;
+  });
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// "2026-09-14" + "09:00" → "20260914T090000" (floating local time)
+function icsDateTime(day, time) {
+  return day.replace(/-/g, "") + "T" + time.replace(":", "") + "00";
+}
+
+/**
+ * The timetable as an iCalendar document, one event per placed session.
+ * Times are floating (the venue's local time), which calendar apps show
+ * as-is in any time zone.
+ *
+ * @returns {string}
+ */
+function buildScheduleIcs(sessions, talks, entries) {
+  var stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  var host  = typeof location !== "undefined" && location.hostname ? location.hostname : "schedule";
+  var lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Conference admin//Session schedule//EN",
+    "CALSCALE:GREGORIAN",
+  ];
+
+  placedSessions(sessions, entries).forEach(function (s) {
+    var entry = entries[s.id];
+    var talkLines = orderTalks(talks[s.id] || [], entry.talk_order).map(function (t, i) {
+      return (i + 1) + ". " + t.title + " — " + [t.first_name, t.last_name].filter(Boolean).join(" ");
+    });
+    var description = ["Organizers: " + organizerNames(s)].concat(talkLines).join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      "UID:session-" + s.id + "@" + host,
+      "DTSTAMP:" + stamp,
+      "DTSTART:" + icsDateTime(entry.day, entry.start_time),
+      "DTEND:" + icsDateTime(entry.day, slotEnd(entry.start_time)),
+      "SUMMARY:" + icsText(s.session_title),
+      "LOCATION:" + icsText(entry.room),
+      "DESCRIPTION:" + icsText(description),
+      "END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Download the timetable as `schedule_<timestamp>.ics`.
+ *
+ * @returns {number} sessions in the calendar (nothing is downloaded for 0)
+ */
+function downloadScheduleIcs(sessions, talks, entries) {
+  var count = placedSessions(sessions, entries).length;
+  if (count === 0) return 0;
+
+  var ics = buildScheduleIcs(sessions, talks, entries);
+  downloadBlob(new Blob([ics], { type: "text/calendar;charset=utf-8" }), "schedule_" + fileTimestamp() + ".ics");
+  return count;
+}
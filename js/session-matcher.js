@@ -0,0 +1,292 @@
+// ---------------------------------------------------------------------------
+// session-matcher.js — Link abstracts (free-text `session`) to the thematic
+//                      sessions they were submitted to
+//
+// An abstract's `session` is matched, in order, by:
+//
+//   id     — the text is a session id ("12", "#12")
+//   title  — the text equals a session title (foldForMatch)
+//   fuzzy  — the most similar title (textSimilarity), if similar enough
+//
+// Fuzzy links below SESSION_MATCH_SURE, or almost as similar to a second
+// title, are low-confidence and wait for someone to confirm them. Decisions
+// are stored one row per abstract and override the matcher:
+//
+//   abstract_session_links (
+//     abstract_id primary key,
+//     session_id,                          -- the session decided on
+//     status text,                         -- "confirmed" | "rejected"
+//     decided_by text, updated_at timestamptz
+//   )
+//
+// "rejected" means "not this session": the abstract is left unlinked.
+//
+// Depends on: supabase-client.js (supabaseClient), auth.js (currentUser),
+//             text-utils.js (foldForMatch, textSimilarity),
+//             cell-types.js (registerCellType)
+// ---------------------------------------------------------------------------
+
+var SESSION_LINKS_TABLE = "abstract_session_links";
+
+// Fuzzy links at least this similar need no confirmation…
+var SESSION_MATCH_SURE = 0.85;
+// …below this there is no link at all
+var SESSION_MATCH_MIN  = 0.5;
+// A runner-up within this much of the best title makes the link uncertain
+var SESSION_MATCH_MARGIN = 0.05;
+
+/**
+ * @typedef {Object} SessionLink
+ * @property {Object}  abstract  — transformed abstract row
+ * @property {*}       sessionId
+ * @property {string}  method    — "id", "title", "fuzzy" or "manual"
+ * @property {number}  score     — title similarity, 0…1 (1 for id / title / manual)
+ * @property {boolean} confident — false: shown for manual confirmation
+ */
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+
+/**
+ * The session an abstract's `session` text refers to.
+ *
+ * @param {Object}   abstract — transformed abstract row
+ * @param {Object[]} sessions — transformed thematic session rows
+ * @returns {?{sessionId: *, method: string, score: number, confident: boolean}}
+ */
+function matchAbstractSession(abstract, sessions) {
+  var text = String(abstract.session || "").trim();
+  if (!text) return null;
+
+  var id = /^#?\s*(\d+)$/.exec(text);
+  if (id) {
+    var byId = sessions.filter(function (s) { return String(s.id) === id[1]; })[0];
+    if (byId) return { sessionId: byId.id, method: "id", score: 1, confident: true };
+  }
+
+  var folded = foldForMatch(text);
+  var best = null, bestScore = 0, runnerUp = 0;
+  for (var i = 0; i < sessions.length; i++) {
+    if (!sessions[i].session_title) continue;
+    if (foldForMatch(sessions[i].session_title) === folded) {
+      return { sessionId: sessions[i].id, method: "title", score: 1, confident: true };
+    }
+    var score = textSimilarity(text, sessions[i].session_title);
+    if (score > bestScore) {
+      runnerUp  = bestScore;
+      best      = sessions[i];
+      bestScore = score;
+    } else if (score > runnerUp) {
+      runnerUp = score;
+    }
+  }
+  if (!best || bestScore < SESSION_MATCH_MIN) return null;
+
+  return {
+    sessionId: best.id,
+    method:    "fuzzy",
+    score:     bestScore,
+    confident: bestScore >= SESSION_MATCH_SURE && bestScore - runnerUp > SESSION_MATCH_MARGIN,
+  };
+}
+
+/**
+ * Link every abstract to a session, applying the stored decisions.
+ *
+ * @param {Object[]} abstracts — transformed abstract rows
+ * @param {Object[]} sessions  — transformed thematic session rows
+ * @param {Object[]} decisions — abstract_session_links rows
+ * @returns {{bySession: Object<string, SessionLink[]>, unlinked: Object[]}}
+ *   links by session id (every session has an entry); abstracts linked to
+ *   no session
+ */
+function linkAbstractsToSessions(abstracts, sessions, decisions) {
+  var bySession = {};
+  sessions.forEach(function (s) { bySession[s.id] = []; });
+
+  var decided = {};
+  decisions.forEach(function (d) { decided[String(d.abstract_id)] = d; });
+
+  var unlinked = [];
+  abstracts.forEach(function (abs) {
+    var decision = decided[String(abs.id)];
+    var match    = matchAbstractSession(abs, sessions);
+
+    if (decision && decision.status === "confirmed" && bySession[decision.session_id]) {
+      match = { sessionId: decision.session_id, method: "manual", score: 1, confident: true };
+    } else if (decision && decision.status === "rejected" && match &&
+               String(decision.session_id) === String(match.sessionId)) {
+      match = null;
+    }
+
+    if (!match) {
+      unlinked.push(abs);
+      return;
+    }
+    bySession[match.sessionId].push({
+      abstract:  abs,
+      sessionId: match.sessionId,
+      method:    match.method,
+      score:     match.score,
+      confident: match.confident,
+    });
+  });
+
+  Object.keys(bySession).forEach(function (id) {
+    bySession[id].sort(function (a, b) { return String(a.abstract.title).localeCompare(String(b.abstract.title)); });
+  });
+  return { bySession: bySession, unlinked: unlinked };
+}
+
+/**
+ * Set `abstract_count` on each session row: the number of linked
+ * abstracts, with the unconfirmed ones noted ("4 (1 to confirm)").
+ *
+ * @param {Object[]}                      sessions
+ * @param {Object<string, SessionLink[]>} bySession
+ * @returns {Object[]} new row objects
+ */
+function markAbstractCounts(sessions, bySession) {
+  return sessions.map(function (s) {
+    var links   = bySession[s.id] || [];
+    var pending = links.filter(function (l) { return !l.confident; }).length;
+    return Object.assign({}, s, {
+      abstract_count: links.length + (pending ? " (" + pending + " to confirm)" : ""),
+    });
+  });
+}
+
+// ── Decisions ─────────────────────────────────────────────────────────────────
+
+/**
+ * Confirm or reject one abstract's link to a session.
+ *
+ * @param {*}      abstractId
+ * @param {*}      sessionId
+ * @param {string} status — "confirmed" or "rejected"
+ * @returns {Promise<Object>} the saved abstract_session_links row
+ */
+async function saveSessionLink(abstractId, sessionId, status) {
+  var user = currentUser();
+  var row  = {
+    abstract_id: abstractId,
+    session_id:  sessionId,
+    status:      status,
+    decided_by:  user ? user.email : null,
+    updated_at:  new Date().toISOString(),
+  };
+
+  var result = await supabaseClient
+    .from(SESSION_LINKS_TABLE)
+    .upsert(row, { onConflict: "abstract_id" })
+    .select("abstract_id");
+
+  if (result.error) throw result.error;
+  if (!result.data || result.data.length === 0) {
+    throw new Error("Decision was not saved — check your permissions.");
+  }
+  return row;
+}
+
+/**
+ * Replace (or add) one decision in a list of abstract_session_links rows.
+ *
+ * @param {Object[]} decisions
+ * @param {Object}   row
+ * @returns {Object[]}
+ */
+function withSessionLink(decisions, row) {
+  return decisions
+    .filter(function (d) { return String(d.abstract_id) !== String(row.abstract_id); })
+    .concat([row]);
+}
+
+// ── Sidebar list ──────────────────────────────────────────────────────────────
+
+function linkMethodText(link) {
+  if (link.method === "fuzzy") return "similar title (" + Math.round(link.score * 100) + "%)";
+  if (link.method === "manual") return "confirmed";
+  return link.method === "id" ? "session id" : "same title";
+}
+
+function linkButton(text, className, onClick) {
+  var btn = document.createElement("button");
+  btn.type        = "button";
+  btn.className   = className;
+  btn.textContent = text;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+/**
+ * The abstracts linked to one session, for the sidebar. Low-confidence
+ * links come first, with Confirm / Not this session buttons.
+ *
+ * @param {SessionLink[]} links
+ * @param {function(SessionLink, string)} [onDecide] — gets the link and
+ *   "confirmed" or "rejected"; without it the list is read-only
+ * @returns {HTMLElement}
+ */
+function buildSessionAbstractList(links, onDecide) {
+  var list = document.createElement("div");
+  list.className = "session-abstracts";
+
+  if (links.length === 0) {
+    var none = document.createElement("p");
+    none.textContent = "No abstracts name this session.";
+    list.appendChild(none);
+    return list;
+  }
+
+  var ordered = links.filter(function (l) { return !l.confident; })
+    .concat(links.filter(function (l) { return l.confident; }));
+
+  ordered.forEach(function (link) {
+    var abs  = link.abstract;
+    var item = document.createElement("div");
+    item.className = "session-abstract" + (link.confident ? "" : " needs-confirmation");
+
+    var title = document.createElement("div");
+    title.className   = "session-abstract-title";
+    title.textContent = abs.title || "Untitled abstract";
+    item.appendChild(title);
+
+    var meta = document.createElement("div");
+    meta.className   = "session-abstract-meta";
+    meta.textContent = [abs.first_name, abs.last_name].filter(Boolean).join(" ") +
+      " — linked by " + linkMethodText(link) +
+      (link.method === "fuzzy" ? " — submitted as \"" + abs.session + "\"" : "");
+    item.appendChild(meta);
+
+    if (!link.confident && onDecide) {
+      var actions = document.createElement("div");
+      actions.className = "session-abstract-actions";
+      actions.appendChild(linkButton("Confirm", "sync-btn", function () { onDecide(link, "confirmed"); }));
+      actions.appendChild(linkButton("Not this session", "secondary-btn", function () { onDecide(link, "rejected"); }));
+      item.appendChild(actions);
+    }
+    list.appendChild(item);
+  });
+  return list;
+}
+
+/**
+ * Cell type "abstract-count" (`abstract_count`): a button opening the
+ * session's abstracts when the page passes `onShowAbstracts(row)`.
+ *
+ * @type {CellRenderer}
+ */
+function abstractCountCell(td, value, row, col, options) {
+  if (!options.onShowAbstracts || value === "") {
+    td.textContent = value;
+    return;
+  }
+  var btn = document.createElement("button");
+  btn.type        = "button";
+  btn.className   = "abstract-count";
+  btn.textContent = value;
+  btn.title       = "List the abstracts of this session";
+  btn.addEventListener("click", function () { options.onShowAbstracts(row); });
+  td.appendChild(btn);
+}
+
+registerCellType("abstract-count", { render: abstractCountCell });
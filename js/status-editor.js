@@ -0,0 +1,87 @@
+// ---------------------------------------------------------------------------
+// status-editor.js — Write thematic-session status changes back to Supabase
+//
+// The table renders "status" cells as a <select> (statusCell /
+// buildStatusSelect); the controller applies changes optimistically and
+// calls updateSessionStatus(), rolling back if it throws.
+//
+// Depends on: config.js (CONFIG), supabase-client.js (supabaseClient),
+//             columns.js (SESSION_STATUSES),
+//             cell-types.js (registerCellType, buildBadge)
+// ---------------------------------------------------------------------------
+
+/**
+ * Set `status` on every session in `ids`.
+ *
+ * Row-level security makes Postgres skip rows the user may not update
+ * instead of failing, so the returned ids are checked against the request.
+ *
+ * @param {Array<string|number>} ids
+ * @param {string}               status — one of SESSION_STATUSES
+ * @returns {Promise<void>}
+ */
+async function updateSessionStatus(ids, status) {
+  if (SESSION_STATUSES.indexOf(status) === -1) {
+    throw new Error("Unknown status \"" + status + "\".");
+  }
+
+  var result = await supabaseClient
+    .from(CONFIG.TABLE_NAME)
+    .update({ status: status })
+    .in("id", ids)
+    .select("id");
+
+  if (result.error) throw result.error;
+
+  var updated = (result.data || []).length;
+  if (updated !== ids.length) {
+    throw new Error(
+      "Only " + updated + " of " + ids.length +
+      " sessions were updated — check your permissions."
+    );
+  }
+}
+
+/**
+ * Status dropdown styled like the read-only badge.
+ *
+ * @param {string}           value    — current status
+ * @param {function(string)} onChange — called with the newly picked status
+ * @returns {HTMLSelectElement}
+ */
+function buildStatusSelect(value, onChange) {
+  var select = document.createElement("select");
+  select.className = "status-select badge badge-" + value;
+  select.title     = "Change status";
+
+  var options = SESSION_STATUSES.slice();
+  // Keep an unexpected value from the database selectable as-is
+  if (value && options.indexOf(value) === -1) options.unshift(value);
+  if (!value) select.appendChild(new Option("—", ""));
+
+  options.forEach(function (s) { select.appendChild(new Option(s, s)); });
+  select.value = value;
+
+  select.addEventListener("change", function () {
+    if (select.value) onChange(select.value);
+  });
+  return select;
+}
+
+/**
+ * Cell type "status": the dropdown when the page passes
+ * `onStatusChange(id, status)`, otherwise a read-only badge.
+ *
+ * @type {CellRenderer}
+ */
+function statusCell(td, value, row, col, options) {
+  if (options.onStatusChange) {
+    td.appendChild(buildStatusSelect(value, function (next) {
+      options.onStatusChange(row.id, next);
+    }));
+  } else if (value !== "") {
+    td.appendChild(buildBadge(value, col));
+  }
+}
+
+registerCellType("status", { render: statusCell });
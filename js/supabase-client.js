@@ -3,7 +3,13 @@
 // Depends on: config.js (loaded first), @supabase/supabase-js (CDN)
 // ---------------------------------------------------------------------------
 
-const supabaseClient = window.supabase.createClient(
-    CONFIG.SUPABASE_URL,
-    CONFIG.SUPABASE_KEY,
-);
+// Null when the CDN script could not load (e.g. offline). Nobody can sign in
+// then, so nothing runs that needs the client; the pages show the offline
+// copy of the last signed-in user's sync (offline-cache.js), or the sign-in
+// gate saying why it is disabled.
+const supabaseClient = window.supabase
+    ? window.supabase.createClient(
+        CONFIG.SUPABASE_URL,
+        CONFIG.SUPABASE_KEY,
+    )
+    : null;
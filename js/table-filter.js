@@ -0,0 +1,276 @@
+// ---------------------------------------------------------------------------
+// table-filter.js — Client-side free-text search + per-column filters
+//
+// Shared by both pages. The filter controls are generated from the same
+// ColumnDef arrays the renderers use; each column's `filter` property picks
+// the kind of control:
+//
+//   "text"   (default) — "contains", ignoring case, accents and punctuation
+//                        (both sides folded with foldForMatch)
+//   "select"           — exact match, options taken from the loaded rows
+//   "date"             — inclusive from / to date range (YYYY-MM-DD)
+//   false              — column gets no filter control
+//
+// Depends on: redaction.js (redactValue), text-utils.js (foldForMatch)
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} FilterState
+ * @property {string}            query   — global free-text search
+ * @property {Object<string, *>} columns — per-column values keyed by column key
+ *                                         (string, or {from, to} for dates)
+ */
+
+/** @returns {FilterState} */
+function createFilterState() {
+  return { query: "", columns: {} };
+}
+
+/**
+ * Filter kind for a column ("text", "select", "date") or null if the column
+ * is not filterable.
+ *
+ * @param {ColumnDef} col
+ * @returns {string|null}
+ */
+function filterKind(col) {
+  if (col.filter === false) return null;
+  return col.filter || "text";
+}
+
+/**
+ * True if a per-column filter value actually restricts anything.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isColumnFilterSet(value) {
+  if (!value) return false;
+  if (typeof value === "object") return !!(value.from || value.to);
+  return value !== "";
+}
+
+/**
+ * @param {FilterState} state
+ * @returns {boolean}
+ */
+function isFilterActive(state) {
+  if (!state) return false;
+  if (state.query.trim() !== "") return true;
+  for (var key in state.columns) {
+    if (isColumnFilterSet(state.columns[key])) return true;
+  }
+  return false;
+}
+
+/**
+ * @param {*}         cellValue
+ * @param {string}    kind
+ * @param {*}         filterValue
+ * @returns {boolean}
+ */
+function matchesColumnFilter(cellValue, kind, filterValue) {
+  var v = cellValue != null ? String(cellValue) : "";
+
+  if (kind === "select") return v === filterValue;
+
+  if (kind === "date") {
+    // ISO timestamps sort lexically; compare on the date part only
+    var day = v.slice(0, 10);
+    if (!day) return false;
+    if (filterValue.from && day < filterValue.from) return false;
+    if (filterValue.to   && day > filterValue.to)   return false;
+    return true;
+  }
+
+  return foldForMatch(v).indexOf(foldForMatch(filterValue)) !== -1;
+}
+
+/**
+ * Return the rows matching the global search and every column filter.
+ * The input array is never modified.
+ *
+ * @param {Object[]}    rows
+ * @param {ColumnDef[]} cols  — columns to search / filter on
+ * @param {FilterState} state
+ * @returns {Object[]}
+ */
+function filterRows(rows, cols, state) {
+  if (!isFilterActive(state)) return rows.slice();
+
+  var query  = foldForMatch(state.query);
+  var active = cols.filter(function (c) {
+    return filterKind(c) && isColumnFilterSet(state.columns[c.key]);
+  });
+
+  return rows.filter(function (row) {
+    for (var i = 0; i < active.length; i++) {
+      var col = active[i];
+      if (!matchesColumnFilter(row[col.key], filterKind(col), state.columns[col.key])) {
+        return false;
+      }
+    }
+
+    if (!query) return true;
+    for (var j = 0; j < cols.length; j++) {
+      // Masked columns are searched as displayed, not by their real value
+      if (foldForMatch(redactValue(cols[j], row[cols[j].key])).indexOf(query) !== -1) return true;
+    }
+    return false;
+  });
+}
+
+// ── UI ────────────────────────────────────────────────────────────────────────
+
+/**
+ * Sorted distinct non-empty values of one column, for "select" filters.
+ *
+ * @param {Object[]} rows
+ * @param {string}   key
+ * @returns {string[]}
+ */
+function distinctValues(rows, key) {
+  var seen = {};
+  for (var i = 0; i < rows.length; i++) {
+    var v = rows[i][key];
+    if (v != null && v !== "") seen[v] = true;
+  }
+  return Object.keys(seen).sort(function (a, b) { return a.localeCompare(b); });
+}
+
+function buildColumnControl(col, rows, state, onChange) {
+  var kind  = filterKind(col);
+  var field = document.createElement("label");
+  field.className = "filter-field";
+
+  var caption = document.createElement("span");
+  caption.textContent = col.label;
+  field.appendChild(caption);
+
+  if (kind === "select") {
+    var select = document.createElement("select");
+    var values = distinctValues(rows, col.key);
+    var current = state.columns[col.key] || "";
+
+    // Keep a selected value that disappeared after a re-sync visible
+    if (current && values.indexOf(current) === -1) values.unshift(current);
+
+    select.appendChild(new Option("Any", ""));
+    values.forEach(function (v) { select.appendChild(new Option(v, v)); });
+    select.value = current;
+
+    select.addEventListener("change", function () {
+      state.columns[col.key] = select.value;
+      onChange();
+    });
+    field.appendChild(select);
+
+  } else if (kind === "date") {
+    var range = state.columns[col.key] || { from: "", to: "" };
+    state.columns[col.key] = range;
+
+    ["from", "to"].forEach(function (end) {
+      var input = document.createElement("input");
+      input.type  = "date";
+      input.value = range[end] || "";
+      input.title = col.label + " " + end;
+      input.addEventListener("change", function () {
+        range[end] = input.value;
+        onChange();
+      });
+      field.appendChild(input);
+    });
+
+  } else {
+    var text = document.createElement("input");
+    text.type        = "text";
+    text.placeholder = "contains…";
+    text.value       = state.columns[col.key] || "";
+    text.addEventListener("input", function () {
+      state.columns[col.key] = text.value;
+      onChange();
+    });
+    field.appendChild(text);
+  }
+
+  return field;
+}
+
+/**
+ * Build the search box + per-column filter panel into `container`.
+ * Call again whenever the column set or the loaded rows change (the select
+ * options are derived from the rows); the current `state` is preserved.
+ *
+ * @param {HTMLElement} container — usually #filterBar
+ * @param {ColumnDef[]} cols      — columns to offer filters for
+ * @param {Object[]}    rows      — all loaded rows (for select options)
+ * @param {FilterState} state     — mutated in place as the user edits
+ * @param {function}    onChange  — called after every edit
+ */
+function renderFilterBar(container, cols, rows, state, onChange) {
+  if (!container) return;
+  clearFilterBar(container);
+
+  var search = document.createElement("input");
+  search.type        = "search";
+  search.className   = "filter-search";
+  search.placeholder = "Search all columns…";
+  search.value       = state.query;
+  search.addEventListener("input", function () {
+    state.query = search.value;
+    onChange();
+  });
+  container.appendChild(search);
+
+  var details = document.createElement("details");
+  details.className = "filter-panel";
+  var summary = document.createElement("summary");
+  summary.textContent = "Column filters";
+  details.appendChild(summary);
+
+  var grid = document.createElement("div");
+  grid.className = "filter-grid";
+  for (var i = 0; i < cols.length; i++) {
+    if (filterKind(cols[i])) {
+      grid.appendChild(buildColumnControl(cols[i], rows, state, onChange));
+    }
+  }
+  details.appendChild(grid);
+  details.open = isFilterActive(state) && state.query.trim() === "";
+  container.appendChild(details);
+
+  var clear = document.createElement("button");
+  clear.type        = "button";
+  clear.className   = "filter-clear";
+  clear.textContent = "Clear filters";
+  clear.addEventListener("click", function () {
+    state.query   = "";
+    state.columns = {};
+    renderFilterBar(container, cols, rows, state, onChange);
+    onChange();
+  });
+  container.appendChild(clear);
+
+  var count = document.createElement("span");
+  count.className = "filter-count";
+  container.appendChild(count);
+}
+
+/**
+ * Show "N of M rows" next to the filters.
+ *
+ * @param {HTMLElement} container
+ * @param {number}      shown
+ * @param {number}      total
+ */
+function setFilterCount(container, shown, total) {
+  if (!container) return;
+  var el = container.querySelector(".filter-count");
+  if (el) el.textContent = shown === total ? total + " rows" : shown + " of " + total + " rows";
+}
+
+function clearFilterBar(container) {
+  while (container.firstChild) {
+    container.removeChild(container.firstChild);
+  }
+}
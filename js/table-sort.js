@@ -0,0 +1,181 @@
+// ---------------------------------------------------------------------------
+// table-sort.js — Client-side multi-key sorting for both pages
+//
+// Sort state is an ordered array of { key, dir } entries: the first entry is
+// the primary key, later ones break ties. Columns with `type: "date"` are
+// compared chronologically; everything else uses a Greek/English collator
+// with numeric ordering, so "Ζωή" sorts among the Greek names and "10" after
+// "9". Empty values, and dates that do not parse, always sort last, whatever
+// the direction.
+//
+// Depends on:
+//   redaction.js  (redactValue)
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} SortKey
+ * @property {string}          key — column key
+ * @property {"asc"|"desc"}    dir
+ */
+
+var SORT_COLLATOR = new Intl.Collator(["el", "en"], {
+  sensitivity: "base",
+  numeric:     true,
+});
+
+/**
+ * @param {*}      a
+ * @param {*}      b
+ * @param {string} [type] — "date" or undefined
+ * @returns {number}
+ */
+function compareSortValues(a, b, type) {
+  if (type === "date") {
+    var ta = Date.parse(a);
+    var tb = Date.parse(b);
+    if (ta === tb) return 0;
+    return ta < tb ? -1 : 1;
+  }
+  return SORT_COLLATOR.compare(String(a), String(b));
+}
+
+// A date Date.parse() cannot read counts as empty: NaN would make the
+// comparison inconsistent and the order undefined
+function isEmptySortValue(v, type) {
+  if (v == null || v === "") return true;
+  return type === "date" && isNaN(Date.parse(v));
+}
+
+/**
+ * Return a sorted copy of `rows`. With no sort keys the original (server)
+ * order is kept.
+ *
+ * @param {Object[]}    rows
+ * @param {ColumnDef[]} cols     — used to look up each key's `type` and
+ *                                whether it is masked
+ * @param {SortKey[]}   sortKeys
+ * @returns {Object[]}
+ */
+function sortRows(rows, cols, sortKeys) {
+  var copy = rows.slice();
+  if (!sortKeys || sortKeys.length === 0) return copy;
+
+  var byKey = {};
+  for (var i = 0; i < cols.length; i++) byKey[cols[i].key] = cols[i];
+
+  // Masked columns sort, as text, on what the role sees: the order of the
+  // real values would give them away
+  function sortValue(row, col, key) {
+    return col && col.masked ? redactValue(col, row[key]) : row[key];
+  }
+
+  // Array.prototype.sort is stable, so equal rows keep their server order
+  return copy.sort(function (ra, rb) {
+    for (var k = 0; k < sortKeys.length; k++) {
+      var sk   = sortKeys[k];
+      var col  = byKey[sk.key];
+      var type = col && !col.masked ? col.type : undefined;
+      var a    = sortValue(ra, col, sk.key);
+      var b    = sortValue(rb, col, sk.key);
+
+      var ea = isEmptySortValue(a, type);
+      var eb = isEmptySortValue(b, type);
+      if (ea || eb) {
+        if (ea && eb) continue;
+        return ea ? 1 : -1;
+      }
+
+      var cmp = compareSortValues(a, b, type);
+      if (cmp !== 0) return sk.dir === "desc" ? -cmp : cmp;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Apply a header click to the sort state and return the new state.
+ *
+ *   click        — sort by this column only; clicking the sole sort column
+ *                  again cycles asc → desc → unsorted
+ *   shift-click  — add this column as the next tie-breaker, or cycle its
+ *                  direction (asc → desc → removed) if it is already a key
+ *
+ * @param {SortKey[]} sortKeys
+ * @param {string}    key
+ * @param {boolean}   additive — true for shift-click
+ * @returns {SortKey[]}
+ */
+function toggleSort(sortKeys, key, additive) {
+  var current = sortKeys || [];
+  var index   = -1;
+  for (var i = 0; i < current.length; i++) {
+    if (current[i].key === key) index = i;
+  }
+
+  if (!additive) {
+    if (current.length === 1 && index === 0) {
+      return current[0].dir === "asc" ? [{ key: key, dir: "desc" }] : [];
+    }
+    return [{ key: key, dir: "asc" }];
+  }
+
+  var next = current.slice();
+  if (index === -1) {
+    next.push({ key: key, dir: "asc" });
+  } else if (next[index].dir === "asc") {
+    next[index] = { key: key, dir: "desc" };
+  } else {
+    next.splice(index, 1);
+  }
+  return next;
+}
+
+/**
+ * Header suffix for a column: "▲", "▼", or "▲2" when several keys are active.
+ * Returns "" for unsorted columns.
+ *
+ * @param {SortKey[]} sortKeys
+ * @param {string}    key
+ * @returns {string}
+ */
+function sortIndicator(sortKeys, key) {
+  if (!sortKeys) return "";
+  for (var i = 0; i < sortKeys.length; i++) {
+    if (sortKeys[i].key === key) {
+      var arrow = sortKeys[i].dir === "desc" ? "▼" : "▲";
+      return sortKeys.length > 1 ? arrow + (i + 1) : arrow;
+    }
+  }
+  return "";
+}
+
+/**
+ * Make a <th> clickable for sorting and show the current sort state on it.
+ * Used by the table renderer (data-table.js).
+ *
+ * @param {HTMLElement} th
+ * @param {ColumnDef}   col
+ * @param {SortKey[]}   sortKeys
+ * @param {function(string, boolean)} onSort — called with (key, shiftKey)
+ */
+function decorateSortHeader(th, col, sortKeys, onSort) {
+  var indicator = sortIndicator(sortKeys, col.key);
+
+  th.classList.add("sortable");
+  th.title = "Click to sort, shift-click to add a secondary sort";
+  th.setAttribute(
+    "aria-sort",
+    indicator ? (indicator.charAt(0) === "▼" ? "descending" : "ascending") : "none"
+  );
+
+  if (indicator) {
+    var mark = document.createElement("span");
+    mark.className   = "sort-indicator";
+    mark.textContent = " " + indicator;
+    th.appendChild(mark);
+  }
+
+  th.addEventListener("click", function (e) {
+    onSort(col.key, e.shiftKey);
+  });
+}
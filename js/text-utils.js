@@ -0,0 +1,100 @@
+// ---------------------------------------------------------------------------
+// text-utils.js — Small string helpers shared across modules
+// ---------------------------------------------------------------------------
+
+/**
+ * Canonical form of an email address for matching people across tables:
+ * trimmed and lower-cased ("  John.Doe@UoA.gr " → "john.doe@uoa.gr").
+ *
+ * @param {*} email
+ * @returns {string}  "" for empty input
+ */
+function normaliseEmail(email) {
+  return String(email != null ? email : "").trim().toLowerCase();
+}
+
+/**
+ * Group rows by normalised `email`, e.g. to join the registration-phase
+ * tables. Rows without an email are skipped.
+ *
+ * @param {Object[]} rows
+ * @returns {Object<string, Object[]>}
+ */
+function groupByEmail(rows) {
+  var index = {};
+  for (var i = 0; i < rows.length; i++) {
+    var key = normaliseEmail(rows[i].email);
+    if (!key) continue;
+    (index[key] = index[key] || []).push(rows[i]);
+  }
+  return index;
+}
+
+// ── Fuzzy matching ────────────────────────────────────────────────────────────
+
+/**
+ * Fold text for fuzzy comparison: accents stripped, lower-cased, final sigma
+ * unified, punctuation turned into spaces ("Παπαδόπουλος, Ι." → "παπαδοπουλοσ ι").
+ *
+ * @param {*} text
+ * @returns {string}
+ */
+function foldForMatch(text) {
+  return String(text != null ? text : "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/ς/g, "σ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Character-bigram profile of a string, for repeated similarity checks
+ * against many others (see profileSimilarity).
+ *
+ * @param {*} text
+ * @returns {{grams: Object<string, number>, size: number}}
+ */
+function bigramProfile(text) {
+  var s     = " " + foldForMatch(text) + " ";
+  var grams = {};
+  var size  = 0;
+  if (s.trim() === "") return { grams: grams, size: 0 };
+
+  for (var i = 0; i < s.length - 1; i++) {
+    var g = s.substr(i, 2);
+    grams[g] = (grams[g] || 0) + 1;
+    size++;
+  }
+  return { grams: grams, size: size };
+}
+
+/**
+ * Dice coefficient of two bigram profiles: 1 for identical text, 0 for
+ * nothing in common (or either side empty).
+ *
+ * @param {{grams: Object<string, number>, size: number}} a
+ * @param {{grams: Object<string, number>, size: number}} b
+ * @returns {number}
+ */
+function profileSimilarity(a, b) {
+  if (!a.size || !b.size) return 0;
+
+  var shared = 0;
+  for (var g in a.grams) {
+    if (b.grams[g]) shared += Math.min(a.grams[g], b.grams[g]);
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Similarity of two strings, 0…1 (see profileSimilarity).
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+function textSimilarity(a, b) {
+  return profileSimilarity(bigramProfile(a), bigramProfile(b));
+}
@@ -8,6 +8,9 @@
  */
 const ORGANIZER_FIELDS = ["email", "country", "lastName", "firstName", "affiliation"];
 
+/** Raw organizer columns, in order; also the prefixes of their flattened keys. */
+const ORGANIZER_PREFIXES = ["organizer_primary", "organizer_secondary", "organizer_tertiary"];
+
 /**
  * Flatten a single organizer JSON blob (or already-parsed object) into a set
  * of prefixed flat keys.
@@ -48,6 +51,48 @@ function flattenOrganizer(blob, prefix) {
     return out;
 }
 
+/**
+ * Inverse of flattenOrganizer for exports: gather the flattened organizer
+ * keys of a record back into one nested object per organizer, in place of
+ * the first of its keys. Only keys present in the record are kept, so a
+ * reduced column selection stays reduced; an organizer with nothing filled
+ * in becomes null, as in the database.
+ *
+ *   nestOrganizers({ id: 1, organizer_primary_firstName: "Ada", ... })
+ *   => { id: 1, organizer_primary: { firstName: "Ada", ... }, ... }
+ *
+ * @param {Object} record — flat record keyed by column key
+ * @returns {Object}
+ */
+function nestOrganizers(record) {
+    var out = {};
+    var keys = Object.keys(record);
+
+    for (var i = 0; i < keys.length; i++) {
+        var key = keys[i];
+        var prefix = null;
+        for (var p = 0; p < ORGANIZER_PREFIXES.length; p++) {
+            if (key.indexOf(ORGANIZER_PREFIXES[p] + "_") === 0) prefix = ORGANIZER_PREFIXES[p];
+        }
+        if (!prefix) {
+            out[key] = record[key];
+            continue;
+        }
+        if (prefix in out) continue;
+
+        var organizer = {};
+        var filled = false;
+        for (var f = 0; f < ORGANIZER_FIELDS.length; f++) {
+            var flatKey = prefix + "_" + ORGANIZER_FIELDS[f];
+            if (!(flatKey in record)) continue;
+            organizer[ORGANIZER_FIELDS[f]] = record[flatKey];
+            if (record[flatKey] !== "") filled = true;
+        }
+        out[prefix] = filled ? organizer : null;
+    }
+    return out;
+}
+
 /**
  * Normalise the session_keywords value.
  * Supabase may return it as a JSON array, a JSON-encoded string, or a plain
@@ -115,6 +160,40 @@ function transformRow(raw) {
     return row;
 }
 
+/**
+ * Alternative view of transformed rows: one row per organizer instead of
+ * three organizers side by side, so all organizers can be sorted or
+ * mail-merged together. Organizers with every field empty are skipped.
+ *
+ *   unpivotOrganizers([{ id: 7, session_title: "Faults", organizer_primary_firstName: "Ada", ... }])
+ *   => [{ session_id: 7, session_title: "Faults", role: "primary", firstName: "Ada", ... }, ...]
+ *
+ * @param {Object[]} rows — rows from transformRow / transformRows
+ * @returns {Object[]} rows keyed like ORGANIZER_COLUMNS
+ */
+function unpivotOrganizers(rows) {
+    var result = [];
+    for (var i = 0; i < rows.length; i++) {
+        for (var p = 0; p < ORGANIZER_PREFIXES.length; p++) {
+            var prefix = ORGANIZER_PREFIXES[p];
+            var organizer = {
+                session_id: rows[i].id,
+                session_title: rows[i].session_title,
+                role: prefix.replace("organizer_", ""),
+            };
+
+            var filled = false;
+            for (var f = 0; f < ORGANIZER_FIELDS.length; f++) {
+                var value = rows[i][prefix + "_" + ORGANIZER_FIELDS[f]] || "";
+                organizer[ORGANIZER_FIELDS[f]] = value;
+                if (value !== "") filled = true;
+            }
+            if (filled) result.push(organizer);
+        }
+    }
+    return result;
+}
+
 /**
  * Convenience: transform an entire array of raw rows.
  *
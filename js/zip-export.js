@@ -1,61 +1,29 @@
 // ---------------------------------------------------------------------------
 // zip-export.js — Build a ZIP archive containing:
-//   • conference_data.xlsx  (three sheets: Registrations, Abstracts, Payments)
+//   • conference_data.xlsx  (Registrations, Abstracts and their Authors,
+//                            Payments, plus the Reconciliation report and
+//                            its summary)
+//   • book_of_abstracts.html (print-ready, see program-book.js)
 //   • abstracts/            (uploaded abstract files, fetched via signed URLs)
 //   • payment_receipts/     (uploaded receipt files, fetched via signed URLs)
 //
 // Depends on:
 //   - SheetJS  (XLSX global, CDN)
 //   - JSZip    (JSZip global, CDN)
-//   - reg-columns.js   (REGISTRATION_COLUMNS, ABSTRACT_COLUMNS, PAYMENT_COLUMNS, excelColumns)
+//   - reg-columns.js   (REGISTRATION_COLUMNS, ABSTRACT_COLUMNS, PAYMENT_COLUMNS)
+//   - columns.js       (excelColumns)
+//   - reconciliation.js  (buildReconciliation, reconciliationSummary, …)
+//   - author-parser.js   (authorRows, AUTHOR_COLUMNS)
+//   - program-book.js    (buildProgramBook)
+//   - redaction.js     (sensitivityAccess)
+//   - export-formats.js  (buildSheet, downloadBlob, fileTimestamp)
 //   - supabase-client.js  (supabaseClient)
+//
+// What goes in follows the user's role: payment sheets and receipt files are
+// left out for roles that may not see payment data, and sheet columns are
+// hidden / masked as in the table.
 // ---------------------------------------------------------------------------
 
-// ── Excel helpers ─────────────────────────────────────────────────────────────
-
-/**
- * Build a SheetJS worksheet from an array of transformed rows and a column list.
- *
- * @param {Object[]}    rows — transformed rows
- * @param {ColumnDef[]} cols — columns to include (already excelColumns-filtered)
- * @returns {Object} SheetJS worksheet
- */
-function buildSheet(rows, cols) {
-  // Header row
-  var header = cols.map(function (c) { return c.label; });
-
-  // Data rows
-  var wsData = [header];
-  for (var r = 0; r < rows.length; r++) {
-    var row     = rows[r];
-    var dataRow = [];
-    for (var c = 0; c < cols.length; c++) {
-      var v = row[cols[c].key];
-      dataRow.push(v != null ? v : "");
-    }
-    wsData.push(dataRow);
-  }
-
-  var ws = XLSX.utils.aoa_to_sheet(wsData);
-
-  // Auto-size columns (rough heuristic)
-  var colWidths = [];
-  for (var i = 0; i < cols.length; i++) {
-    var col    = cols[i];
-    var maxLen = col.label.length;
-    for (var j = 0; j < rows.length; j++) {
-      var cell = String(rows[j][col.key] != null ? rows[j][col.key] : "");
-      var cap  = col.wrap ? 60 : 40;
-      var len  = cell.length < cap ? cell.length : cap;
-      if (len > maxLen) maxLen = len;
-    }
-    colWidths.push({ wch: maxLen + 2 });
-  }
-  ws["!cols"] = colWidths;
-
-  return ws;
-}
-
 // ── File download helpers ─────────────────────────────────────────────────────
 
 /**
@@ -134,11 +102,20 @@ function zipFilename(email, filePath) {
  * @param {Object[]} registrations — transformed registration rows
  * @param {Object[]} abstracts     — transformed abstract rows
  * @param {Object[]} payments      — transformed payment rows
+ * @param {Object[]} sessions      — transformed thematic session rows, to
+ *                                   group the book of abstracts
+ * @param {Object[]} decisions     — abstract_session_links rows, likewise
  * @param {function} onStatus      — callback(string) for progress messages
  */
-async function downloadZip(registrations, abstracts, payments, onStatus) {
+async function downloadZip(registrations, abstracts, payments, sessions, decisions, onStatus) {
   function status(msg) { if (onStatus) onStatus(msg); }
 
+  // Roles without access to payment data get no receipts and no sheets
+  // derived from them
+  var withPayments = sensitivityAccess("payment") !== "hide";
+  if (!withPayments) payments = [];
+  var emailsShown  = sensitivityAccess("contact") === "show";
+
   status("Building Excel workbook…");
 
   // ── Excel ──────────────────────────────────────────────────────────────────
@@ -156,16 +133,38 @@ async function downloadZip(registrations, abstracts, payments, onStatus) {
   );
   XLSX.utils.book_append_sheet(
     wb,
-    buildSheet(payments, excelColumns(PAYMENT_COLUMNS)),
-    "Payment Receipts"
+    buildSheet(authorRows(abstracts), AUTHOR_COLUMNS),
+    "Authors"
   );
 
+  var report = [];
+  if (withPayments) {
+    XLSX.utils.book_append_sheet(
+      wb,
+      buildSheet(payments, excelColumns(PAYMENT_COLUMNS)),
+      "Payment Receipts"
+    );
+
+    report = buildReconciliation(registrations, abstracts, payments);
+    XLSX.utils.book_append_sheet(
+      wb,
+      buildSheet(report, excelColumns(RECONCILIATION_COLUMNS)),
+      "Reconciliation"
+    );
+    XLSX.utils.book_append_sheet(
+      wb,
+      buildSheet(reconciliationSummary(report), RECONCILIATION_SUMMARY_COLUMNS),
+      "Reconciliation Summary"
+    );
+  }
+
   // Write workbook to a Uint8Array (works without Node.js)
   var excelBuffer = XLSX.write(wb, { type: "array", bookType: "xlsx" });
 
   // ── ZIP ────────────────────────────────────────────────────────────────────
   var zip = new JSZip();
   zip.file("conference_data.xlsx", excelBuffer);
+  if (abstracts.length > 0) zip.file("book_of_abstracts.html", buildProgramBook(abstracts, sessions, decisions));
 
   var failedFiles = [];
 
@@ -175,7 +174,8 @@ async function downloadZip(registrations, abstracts, payments, onStatus) {
     var absFolder = zip.folder("abstracts");
     for (var i = 0; i < absWithFiles.length; i++) {
       var abs      = absWithFiles[i];
-      var filename = zipFilename(abs.email, abs._file_path);
+      // File names would otherwise carry the address the sheet masks
+      var filename = zipFilename(emailsShown ? abs.email : "abstract-" + abs.id, abs._file_path);
       status(
         "Downloading abstract file " + (i + 1) + " / " + absWithFiles.length +
         " (" + filename + ")…"
@@ -220,22 +220,18 @@ async function downloadZip(registrations, abstracts, payments, onStatus) {
   status("Compressing ZIP…");
   var content = await zip.generateAsync({ type: "blob", compression: "DEFLATE" });
 
-  var timestamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  var timestamp = fileTimestamp();
   var zipName   = "conference_export_" + timestamp + ".zip";
 
-  var url = URL.createObjectURL(content);
-  var a   = document.createElement("a");
-  a.href     = url;
-  a.download = zipName;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+  downloadBlob(content, zipName);
 
   var summary =
     registrations.length + " registrations, " +
-    abstracts.length    + " abstracts (" + absWithFiles.length + " files), " +
-    payments.length     + " payment receipts (" + payWithFiles.length + " files)" +
+    abstracts.length    + " abstracts (" + absWithFiles.length + " files)" +
+    (withPayments
+      ? ", " + payments.length + " payment receipts (" + payWithFiles.length + " files), " +
+        report.length + " reconciliation mismatches"
+      : "") +
     (failedFiles.length ? " — ⚠ " + failedFiles.length + " file(s) failed (see DOWNLOAD_ERRORS.txt)" : "");
 
   return summary;